@@ -1,20 +1,114 @@
 const fs = require('fs');
+const path = require('path');
+const HARAnalyzer = require('./har-analyzer');
+const PerformanceScore = require('./performance-score');
+const ResultsStore = require('./results-store');
+
+// Requests under these paths count as images even when they fail with an HTML error page
+const DEFAULT_IMAGE_PATHS = ['/images/', '/uploads/', '/_next/image'];
+
+const IMAGE_FORMATS = {
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'image/jxl': 'jxl'
+};
+
+const IMAGE_EXTENSIONS = {
+  '.webp': 'webp', '.avif': 'avif', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png',
+  '.gif': 'gif', '.svg': 'svg', '.ico': 'ico', '.jxl': 'jxl'
+};
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+}
+
+function getContentType(entry) {
+  return (entry.response.headers.find(h => h.name.toLowerCase() === 'content-type')?.value ||
+    entry.response.content.mimeType || '').toLowerCase();
+}
+
+// Source image behind a request; /_next/image carries it in the url parameter
+function getImageSource(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return url;
+  if (parsed.pathname.startsWith('/_next/image') && parsed.searchParams.has('url')) {
+    return parsed.searchParams.get('url');
+  }
+  return parsed.pathname;
+}
+
+function getImageFormat(entry) {
+  const contentType = getContentType(entry).split(';')[0].trim();
+  if (IMAGE_FORMATS[contentType]) return IMAGE_FORMATS[contentType];
+
+  const extension = path.extname(getImageSource(entry.request.url).split('?')[0]).toLowerCase();
+  return IMAGE_EXTENSIONS[extension] || 'other';
+}
+
+function isImageRequest(entry, imagePaths) {
+  const parsed = parseUrl(entry.request.url);
+  const pathname = parsed ? parsed.pathname : entry.request.url;
+
+  return getContentType(entry).startsWith('image/') ||
+    imagePaths.some(prefix => pathname.startsWith(prefix)) ||
+    Boolean(IMAGE_EXTENSIONS[path.extname(pathname).toLowerCase()]);
+}
+
+function isHtmlNavigation(entry) {
+  return entry._resourceType === 'document' ||
+    (entry.request.method === 'GET' && getContentType(entry).includes('text/html'));
+}
+
+// Explicit --main URL first, otherwise the first HTML navigation (on the configured origin, if any)
+function findMainDocument(entries, options) {
+  if (options.mainDocument) {
+    return entries.find(entry => entry.request.url === options.mainDocument) || null;
+  }
+
+  return [...entries]
+    .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime))
+    .find(entry => {
+      if (!isHtmlNavigation(entry)) return false;
+      if (!options.origin) return true;
+      const parsed = parseUrl(entry.request.url);
+      return parsed !== null && parsed.origin === options.origin;
+    }) || null;
+}
+
+async function analyzeHAR(harFilePath, options = {}) {
+  const imagePaths = options.imagePaths || DEFAULT_IMAGE_PATHS;
 
-function analyzeHAR(harFilePath) {
   console.log('🔍 Analyzing HAR file performance data...\n');
   
   try {
-    const harData = JSON.parse(fs.readFileSync(harFilePath, 'utf8'));
-    const entries = harData.log.entries;
+    // Streams captures too large to parse in one go
+    const pages = await new HARAnalyzer().loadPages(harFilePath);
+    const entries = pages.flatMap(page => page.entries);
     
     console.log(`📊 Total HTTP requests: ${entries.length}`);
-    console.log(`🕐 Test started: ${harData.log.pages[0].startedDateTime}`);
+    console.log(`🕐 Test started: ${pages.length > 0 ? pages[0].startedDateTime : 'unknown'}`);
+    
+    // Per-page timings, one row per navigation in the capture
+    console.log(`\n📄 Pages captured: ${pages.length}`);
+    pages.forEach(page => {
+      const { onContentLoad, onLoad } = page.pageTimings;
+      const formatTiming = value => (typeof value === 'number' && value >= 0 ? `${value.toFixed(2)}ms` : 'n/a');
+      console.log(`   ${page.title}: ${page.entries.length} requests, DCL ${formatTiming(onContentLoad)}, load ${formatTiming(onLoad)}`);
+    });
     
     // Analyze main page load
-    const mainPage = entries.find(entry => 
-      entry.request.url === 'http://localhost:3000/' || 
-      entry.request.url.endsWith('localhost:3000/')
-    );
+    const mainPage = findMainDocument(entries, options);
     
     if (mainPage) {
       console.log(`\n🏠 Main Page Performance:`);
@@ -22,13 +116,12 @@ function analyzeHAR(harFilePath) {
       console.log(`   Status: ${mainPage.response.status}`);
       console.log(`   Total Time: ${mainPage.time.toFixed(2)}ms`);
       console.log(`   Content Size: ${(mainPage.response.content.size / 1024).toFixed(2)}KB`);
+    } else {
+      console.log(`\n⚠️  No main document found${options.origin ? ` on ${options.origin}` : ''}`);
     }
     
     // Analyze image requests
-    const imageRequests = entries.filter(entry => 
-      entry.request.url.includes('/images/games/') ||
-      entry.request.url.includes('/_next/image')
-    );
+    const imageRequests = entries.filter(entry => isImageRequest(entry, imagePaths));
     
     console.log(`\n📸 Image Performance Analysis:`);
     console.log(`   Total image requests: ${imageRequests.length}`);
@@ -37,22 +130,31 @@ function analyzeHAR(harFilePath) {
       webp: [],
       optimized: [],
       errors: [],
-      successful: []
+      successful: [],
+      formats: {}
     };
     
     imageRequests.forEach(entry => {
       const url = entry.request.url;
       const status = entry.response.status;
       const time = entry.time;
-      const size = entry.response.content.size;
-      const contentType = entry.response.headers.find(h => h.name.toLowerCase() === 'content-type')?.value || '';
+      const size = entry.response.content.size || 0;
+      const contentType = getContentType(entry);
       
-      if (status === 404) {
+      if (status >= 400 || status === 0) {
         imageStats.errors.push({ url, status, time });
-      } else if (status === 200) {
-        imageStats.successful.push({ url, status, time, size, contentType });
+      } else if ((status >= 200 && status < 300) || status === 304) {
+        const format = getImageFormat(entry);
+        imageStats.successful.push({ url, status, time, size, contentType, format });
         
-        if (url.includes('.webp')) {
+        if (!imageStats.formats[format]) {
+          imageStats.formats[format] = { count: 0, bytes: 0, transferBytes: 0 };
+        }
+        imageStats.formats[format].count++;
+        imageStats.formats[format].bytes += size;
+        imageStats.formats[format].transferBytes += entry.response._transferSize > 0 ? entry.response._transferSize : Math.max(entry.response.bodySize || 0, 0);
+        
+        if (format === 'webp') {
           imageStats.webp.push({ url, time, size, contentType });
         }
         
@@ -64,14 +166,22 @@ function analyzeHAR(harFilePath) {
     
     // Display image statistics
     console.log(`   ✅ Successful: ${imageStats.successful.length}`);
-    console.log(`   ❌ Failed (404): ${imageStats.errors.length}`);
+    console.log(`   ❌ Failed: ${imageStats.errors.length}`);
     console.log(`   🖼️  WebP images: ${imageStats.webp.length}`);
     console.log(`   🔧 Next.js optimized: ${imageStats.optimized.length}`);
     
+    const formats = Object.entries(imageStats.formats).sort((a, b) => b[1].bytes - a[1].bytes);
+    if (formats.length > 0) {
+      console.log(`\n🗂️  Images by Format:`);
+      formats.forEach(([format, stats]) => {
+        console.log(`   ${format.padEnd(6)} ${String(stats.count).padStart(4)} requests  ${(stats.bytes / 1024).toFixed(1).padStart(9)}KB`);
+      });
+    }
+    
     if (imageStats.errors.length > 0) {
       console.log(`\n❌ Image Errors Found:`);
       imageStats.errors.forEach(img => {
-        const filename = img.url.split('/').pop();
+        const filename = path.basename(getImageSource(img.url));
         console.log(`   - ${filename}: ${img.status} (${img.time.toFixed(2)}ms)`);
       });
     } else {
@@ -87,7 +197,7 @@ function analyzeHAR(harFilePath) {
       console.log(`   Total size: ${(totalWebpSize / 1024).toFixed(2)}KB`);
       
       imageStats.webp.forEach(img => {
-        const filename = img.url.split('/').pop();
+        const filename = path.basename(getImageSource(img.url));
         console.log(`   ✓ ${filename}: ${img.time.toFixed(2)}ms (${(img.size / 1024).toFixed(1)}KB)`);
       });
     }
@@ -99,49 +209,49 @@ function analyzeHAR(harFilePath) {
       console.log(`   Average optimization time: ${avgOptimizedTime.toFixed(2)}ms`);
       
       imageStats.optimized.forEach(img => {
-        const match = img.url.match(/games%2F([^&]+)\./);
-        const filename = match ? match[1] : 'unknown';
+        const filename = path.basename(getImageSource(img.url));
         console.log(`   ⚡ ${filename}: ${img.time.toFixed(2)}ms (${img.contentType})`);
       });
     }
     
     // Overall performance analysis
-    const totalTime = entries.length > 0 ? Math.max(...entries.map(e => new Date(e.startedDateTime).getTime() + e.time)) - Math.min(...entries.map(e => new Date(e.startedDateTime).getTime())) : 0;
+    const totalTime = entries.length > 0
+      ? entries.reduce((max, e) => Math.max(max, new Date(e.startedDateTime).getTime() + e.time), -Infinity) -
+        entries.reduce((min, e) => Math.min(min, new Date(e.startedDateTime).getTime()), Infinity)
+      : 0;
     
     console.log(`\n📊 Overall Performance Summary:`);
     console.log(`   Total load time: ${totalTime.toFixed(2)}ms`);
     console.log(`   Successful requests: ${entries.filter(e => e.response.status >= 200 && e.response.status < 300).length}`);
     console.log(`   Failed requests: ${entries.filter(e => e.response.status >= 400).length}`);
-    console.log(`   Image success rate: ${imageStats.successful.length}/${imageRequests.length} (${((imageStats.successful.length / imageRequests.length) * 100).toFixed(1)}%)`);
+    console.log(`   Image success rate: ${imageStats.successful.length}/${imageRequests.length} (${(imageRequests.length > 0 ? (imageStats.successful.length / imageRequests.length) * 100 : 100).toFixed(1)}%)`);
     
     // Performance grade
     const pageLoadTime = mainPage ? mainPage.time : totalTime;
     const imageErrorCount = imageStats.errors.length;
     const imageSuccessRate = imageRequests.length > 0 ? (imageStats.successful.length / imageRequests.length) * 100 : 100;
+    const avgImageTime = imageStats.successful.length > 0
+      ? imageStats.successful.reduce((sum, img) => sum + img.time, 0) / imageStats.successful.length
+      : undefined;
     
-    console.log(`\n🏆 Performance Grade:`);
-    
-    if (pageLoadTime < 2000 && imageErrorCount === 0 && imageSuccessRate === 100) {
-      console.log(`   Grade: A+ 🥇`);
-      console.log(`   ✅ Page load under 2 seconds`);
-      console.log(`   ✅ No image errors`);
-      console.log(`   ✅ 100% image success rate`);
-    } else if (pageLoadTime < 5000 && imageErrorCount < 3 && imageSuccessRate > 90) {
-      console.log(`   Grade: B+ 🥈`);
-      if (pageLoadTime >= 2000) console.log(`   ⚠️  Page load could be faster`);
-      if (imageErrorCount > 0) console.log(`   ⚠️  ${imageErrorCount} image error(s)`);
-      if (imageSuccessRate < 100) console.log(`   ⚠️  ${imageSuccessRate.toFixed(1)}% image success rate`);
-    } else {
-      console.log(`   Grade: C 🥉`);
-      console.log(`   ❌ Performance needs improvement`);
-      if (pageLoadTime >= 5000) console.log(`   ❌ Page load too slow (${pageLoadTime.toFixed(2)}ms)`);
-      if (imageErrorCount >= 3) console.log(`   ❌ Too many image errors (${imageErrorCount})`);
-      if (imageSuccessRate <= 90) console.log(`   ❌ Low image success rate (${imageSuccessRate.toFixed(1)}%)`);
-    }
+    const scorer = options.scorer || new PerformanceScore();
+    const grade = scorer.score({
+      loadTime: pageLoadTime,
+      imageFailureRate: imageRequests.length > 0 ? imageErrorCount / imageRequests.length : undefined,
+      imageLoadTime: avgImageTime
+    });
+    scorer.printResult(grade);
     
     // Save analysis results
     const analysis = {
       timestamp: new Date().toISOString(),
+      pages: pages.map(page => ({
+        id: page.id,
+        title: page.title,
+        requests: page.entries.length,
+        onContentLoad: page.pageTimings.onContentLoad,
+        onLoad: page.pageTimings.onLoad
+      })),
       mainPage: mainPage ? {
         url: mainPage.request.url,
         status: mainPage.response.status,
@@ -154,19 +264,32 @@ function analyzeHAR(harFilePath) {
         errors: imageStats.errors.length,
         webp: imageStats.webp.length,
         optimized: imageStats.optimized.length,
-        successRate: imageSuccessRate
+        successRate: imageSuccessRate,
+        formats: imageStats.formats
       },
       performance: {
         totalTime,
         pageLoadTime,
-        grade: pageLoadTime < 2000 && imageErrorCount === 0 && imageSuccessRate === 100 ? 'A+' :
-               pageLoadTime < 5000 && imageErrorCount < 3 && imageSuccessRate > 90 ? 'B+' : 'C'
+        score: grade.score,
+        grade: grade.grade,
+        verdict: grade.verdict,
+        metrics: grade.metrics
       }
     };
     
     fs.writeFileSync('har-analysis-results.json', JSON.stringify(analysis, null, 2));
     console.log(`\n💾 Analysis saved to: har-analysis-results.json`);
     
+    new ResultsStore().record('analyze-har', {
+      score: grade.score,
+      pageLoadTime,
+      totalTime,
+      totalRequests: entries.length,
+      imageErrors: imageErrorCount,
+      imageSuccessRate,
+      imageBytes: Object.values(imageStats.formats).reduce((sum, stats) => sum + stats.bytes, 0)
+    }, { label: options.label, source: harFilePath });
+    
   } catch (error) {
     console.error('❌ Error analyzing HAR file:', error.message);
   }
@@ -174,8 +297,24 @@ function analyzeHAR(harFilePath) {
 
 // Run if called directly
 if (require.main === module) {
-  const harFile = process.argv[2] || 'last-performance.har';
-  analyzeHAR(harFile);
+  const args = process.argv.slice(2);
+  const option = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const imagePaths = option('image-paths');
+  const origin = option('origin');
+  const scoring = option('scoring');
+  
+  const harFile = args.find(a => !a.startsWith('--')) || 'last-performance.har';
+  analyzeHAR(harFile, {
+    // Normalize "https://staging.example.com/" to an origin
+    origin: origin ? new URL(origin).origin : undefined,
+    imagePaths: imagePaths ? imagePaths.split(',').filter(Boolean) : undefined,
+    mainDocument: option('main'),
+    label: option('label'),
+    scorer: scoring ? PerformanceScore.load(scoring) : undefined
+  });
 }
 
 module.exports = { analyzeHAR }; 
\ No newline at end of file
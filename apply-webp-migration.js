@@ -3,11 +3,15 @@
 const { PrismaClient } = require('@prisma/client');
 const fs = require('fs');
 const path = require('path');
+const ChangePlan = require('./change-plan');
 
 class WebPMigrationApplier {
-  constructor() {
+  constructor(options = {}) {
     this.prisma = new PrismaClient();
     this.projectRoot = path.join(__dirname, '..');
+    // In a dry run the UPDATEs are only counted and recorded, not executed
+    this.plan = ChangePlan.from(options.plan, 'apply-webp-migration');
+    this.verb = this.plan.dryRun ? 'Would update' : 'Updated';
     this.conversions = [];
     this.updateResults = {
       articles: 0,
@@ -35,6 +39,7 @@ class WebPMigrationApplier {
       await this.updateMatches();
       
       this.generateResults();
+      this.plan.finish();
       
     } catch (error) {
       console.error('❌ Migration failed:', error.message);
@@ -59,174 +64,85 @@ class WebPMigrationApplier {
     }
   }
 
-  async updateArticles() {
-    console.log('\n📄 Step 2: Updating Articles...');
-    
+  // Swaps every converted path in one column. Table and column names only ever come from this
+  // file; the paths themselves are bound as parameters.
+  async replaceReferences(table, column) {
     let updatedCount = 0;
-    
+
     for (const conv of this.conversions) {
       try {
-        // Update coverImage field (SQLite syntax)
-        const imageResult = await this.prisma.$executeRaw`
-          UPDATE Article 
-          SET coverImage = REPLACE(coverImage, ${conv.original}, ${conv.webp})
-          WHERE coverImage LIKE ${'%' + conv.original + '%'}
-        `;
-
-        // Update content field
-        const contentResult = await this.prisma.$executeRaw`
-          UPDATE Article 
-          SET content = REPLACE(content, ${conv.original}, ${conv.webp})
-          WHERE content LIKE ${'%' + conv.original + '%'}
-        `;
-
-        updatedCount += Number(imageResult) + Number(contentResult);
+        const pattern = '%' + conv.original + '%';
+        // The old values are journaled by id, so rollback restores exactly these rows
+        updatedCount += await this.plan.executeSql(
+          this.prisma,
+          `UPDATE ${table} SET ${column} = REPLACE(${column}, ?, ?) WHERE ${column} LIKE ?`,
+          [conv.original, conv.webp, pattern],
+          { table, key: 'id', column, where: `${column} LIKE ?`, params: [pattern] }
+        );
       } catch (error) {
-        console.log(`   ⚠️  Error updating ${conv.original}: ${error.message}`);
+        console.log(`   ⚠️  Error updating ${conv.original} in ${table}.${column}: ${error.message}`);
       }
     }
 
+    return updatedCount;
+  }
+
+  async updateArticles() {
+    console.log('\n📄 Step 2: Updating Articles...');
+    
+    const updatedCount = await this.replaceReferences('Article', 'coverImage') +
+      await this.replaceReferences('Article', 'content');
+
     this.updateResults.articles = updatedCount;
-    console.log(`✅ Updated ${updatedCount} article references`);
+    console.log(`✅ ${this.verb} ${updatedCount} article references`);
   }
 
   async updateNews() {
     console.log('\n📰 Step 3: Updating News...');
     
-    let updatedCount = 0;
-    
-    for (const conv of this.conversions) {
-      try {
-        // Update coverImage field
-        const imageResult = await this.prisma.$executeRaw`
-          UPDATE News 
-          SET coverImage = REPLACE(coverImage, ${conv.original}, ${conv.webp})
-          WHERE coverImage LIKE ${'%' + conv.original + '%'}
-        `;
-
-        // Update content field  
-        const contentResult = await this.prisma.$executeRaw`
-          UPDATE News 
-          SET content = REPLACE(content, ${conv.original}, ${conv.webp})
-          WHERE content LIKE ${'%' + conv.original + '%'}
-        `;
-
-        updatedCount += Number(imageResult) + Number(contentResult);
-      } catch (error) {
-        console.log(`   ⚠️  Error updating ${conv.original}: ${error.message}`);
-      }
-    }
+    const updatedCount = await this.replaceReferences('News', 'coverImage') +
+      await this.replaceReferences('News', 'content');
 
     this.updateResults.news = updatedCount;
-    console.log(`✅ Updated ${updatedCount} news references`);
+    console.log(`✅ ${this.verb} ${updatedCount} news references`);
   }
 
   async updateGuides() {
     console.log('\n📖 Step 4: Updating Guides...');
     
-    let updatedCount = 0;
-    
-    for (const conv of this.conversions) {
-      try {
-        // Update coverImage field
-        const imageResult = await this.prisma.$executeRaw`
-          UPDATE Guide 
-          SET coverImage = REPLACE(coverImage, ${conv.original}, ${conv.webp})
-          WHERE coverImage LIKE ${'%' + conv.original + '%'}
-        `;
-
-        // Update content field
-        const contentResult = await this.prisma.$executeRaw`
-          UPDATE Guide 
-          SET content = REPLACE(content, ${conv.original}, ${conv.webp})
-          WHERE content LIKE ${'%' + conv.original + '%'}
-        `;
-
-        updatedCount += Number(imageResult) + Number(contentResult);
-      } catch (error) {
-        console.log(`   ⚠️  Error updating ${conv.original}: ${error.message}`);
-      }
-    }
+    const updatedCount = await this.replaceReferences('Guide', 'coverImage') +
+      await this.replaceReferences('Guide', 'content');
 
     this.updateResults.guides = updatedCount;
-    console.log(`✅ Updated ${updatedCount} guide references`);
+    console.log(`✅ ${this.verb} ${updatedCount} guide references`);
   }
 
   async updateBonuses() {
     console.log('\n🎁 Step 5: Updating Bonuses...');
     
-    let updatedCount = 0;
-    
-    for (const conv of this.conversions) {
-      try {
-        const imageResult = await this.prisma.$executeRaw`
-          UPDATE Bonus 
-          SET image = REPLACE(image, ${conv.original}, ${conv.webp})
-          WHERE image LIKE ${'%' + conv.original + '%'}
-        `;
-
-        updatedCount += Number(imageResult);
-      } catch (error) {
-        console.log(`   ⚠️  Error updating ${conv.original}: ${error.message}`);
-      }
-    }
+    const updatedCount = await this.replaceReferences('Bonus', 'image');
 
     this.updateResults.bonuses = updatedCount;
-    console.log(`✅ Updated ${updatedCount} bonus references`);
+    console.log(`✅ ${this.verb} ${updatedCount} bonus references`);
   }
 
   async updateGames() {
     console.log('\n🎮 Step 6: Updating Games...');
     
-    let updatedCount = 0;
-    
-    for (const conv of this.conversions) {
-      try {
-        const imageResult = await this.prisma.$executeRaw`
-          UPDATE Game 
-          SET image = REPLACE(image, ${conv.original}, ${conv.webp})
-          WHERE image LIKE ${'%' + conv.original + '%'}
-        `;
-
-        updatedCount += Number(imageResult);
-      } catch (error) {
-        console.log(`   ⚠️  Error updating ${conv.original}: ${error.message}`);
-      }
-    }
+    const updatedCount = await this.replaceReferences('Game', 'image');
 
     this.updateResults.games = updatedCount;
-    console.log(`✅ Updated ${updatedCount} game references`);
+    console.log(`✅ ${this.verb} ${updatedCount} game references`);
   }
 
   async updateMatches() {
     console.log('\n⚽ Step 7: Updating Matches...');
     
-    let updatedCount = 0;
-    
-    for (const conv of this.conversions) {
-      try {
-        // Update team1Logo field
-        const team1Result = await this.prisma.$executeRaw`
-          UPDATE Match 
-          SET team1Logo = REPLACE(team1Logo, ${conv.original}, ${conv.webp})
-          WHERE team1Logo LIKE ${'%' + conv.original + '%'}
-        `;
-
-        // Update team2Logo field
-        const team2Result = await this.prisma.$executeRaw`
-          UPDATE Match 
-          SET team2Logo = REPLACE(team2Logo, ${conv.original}, ${conv.webp})
-          WHERE team2Logo LIKE ${'%' + conv.original + '%'}
-        `;
-
-        updatedCount += Number(team1Result) + Number(team2Result);
-      } catch (error) {
-        console.log(`   ⚠️  Error updating ${conv.original}: ${error.message}`);
-      }
-    }
+    const updatedCount = await this.replaceReferences('Match', 'team1Logo') +
+      await this.replaceReferences('Match', 'team2Logo');
 
     this.updateResults.matches = updatedCount;
-    console.log(`✅ Updated ${updatedCount} match references`);
+    console.log(`✅ ${this.verb} ${updatedCount} match references`);
   }
 
   generateResults() {
@@ -249,10 +165,15 @@ class WebPMigrationApplier {
       ]
     };
 
-    fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
+    this.plan.writeFile(resultsPath, JSON.stringify(results, null, 2));
 
-    console.log('\n🎉 WEBP MIGRATION COMPLETED SUCCESSFULLY!');
-    console.log('=========================================');
+    if (this.plan.dryRun) {
+      console.log('\n🔍 WEBP MIGRATION DRY RUN');
+      console.log('=========================');
+    } else {
+      console.log('\n🎉 WEBP MIGRATION COMPLETED SUCCESSFULLY!');
+      console.log('=========================================');
+    }
     console.log(`📊 Migration Summary:`);
     console.log(`   • Articles updated: ${this.updateResults.articles}`);
     console.log(`   • News updated: ${this.updateResults.news}`);
@@ -274,7 +195,9 @@ class WebPMigrationApplier {
 
 // Main execution
 async function main() {
-  const migrator = new WebPMigrationApplier();
+  const migrator = new WebPMigrationApplier({
+    plan: ChangePlan.fromArgs('apply-webp-migration', process.argv.slice(2))
+  });
   await migrator.applyMigration();
 }
 
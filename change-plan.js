@@ -0,0 +1,602 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const RunJournal = require("./run-journal");
+
+// Plans store paths relative to the project, so a plan made on one checkout applies to another
+const PROJECT_ROOT = path.join(__dirname, "..");
+// Unchanged lines shown around each hunk, as `diff -u` does
+const CONTEXT = 3;
+// Past this many line pairs the LCS table costs too much memory; the block is shown replaced whole
+const MAX_DIFF_CELLS = 4000000;
+
+const sha256 = (content) => crypto.createHash("sha256").update(content).digest("hex");
+
+// Results from worker threads arrive as plain Uint8Arrays
+const toBuffer = (content) =>
+  Buffer.isBuffer(content) ? content : Buffer.from(content.buffer, content.byteOffset, content.byteLength);
+
+// Same heuristic as git: a NUL byte near the start means binary
+const isBinary = (content) => Buffer.isBuffer(content) && content.subarray(0, 8000).includes(0);
+
+const splitLines = (text) => (text === "" ? [] : text.replace(/\n$/, "").split("\n"));
+
+// Edit script between two texts as [" " | "-" | "+", line] pairs
+function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Most edits touch a small part of a file, so the common ends are trimmed before the LCS
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const edits = a.slice(0, start).map((line) => [" ", line]);
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    oldLines.forEach((line) => edits.push(["-", line]));
+    newLines.forEach((line) => edits.push(["+", line]));
+  } else {
+    // Filled from the end so the walk below can go forwards
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] =
+          oldLines[i] === newLines[j]
+            ? table[(i + 1) * width + j + 1] + 1
+            : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldLines[i] === newLines[j]) {
+        edits.push([" ", oldLines[i]]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        edits.push(["-", oldLines[i++]]);
+      } else {
+        edits.push(["+", newLines[j++]]);
+      }
+    }
+    while (i < n) edits.push(["-", oldLines[i++]]);
+    while (j < m) edits.push(["+", newLines[j++]]);
+  }
+
+  a.slice(endA).forEach((line) => edits.push([" ", line]));
+  return edits;
+}
+
+function unifiedDiff(before, after, fromLabel, toLabel) {
+  const edits = diffLines(before, after);
+  const changed = [];
+  edits.forEach(([type], index) => {
+    if (type !== " ") changed.push(index);
+  });
+  if (changed.length === 0) return "";
+
+  // Line numbers in the old and new file at each edit
+  let oldLine = 1;
+  let newLine = 1;
+  const positions = edits.map(([type]) => {
+    const position = [oldLine, newLine];
+    if (type !== "+") oldLine++;
+    if (type !== "-") newLine++;
+    return position;
+  });
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  let k = 0;
+  while (k < changed.length) {
+    const first = changed[k];
+    let last = first;
+    // Changes whose contexts would touch share a hunk
+    while (k + 1 < changed.length && changed[k + 1] - last <= CONTEXT * 2 + 1) last = changed[++k];
+    k++;
+
+    const from = Math.max(0, first - CONTEXT);
+    const hunk = edits.slice(from, Math.min(edits.length, last + CONTEXT + 1));
+    const oldCount = hunk.filter(([type]) => type !== "+").length;
+    const newCount = hunk.filter(([type]) => type !== "-").length;
+    const [oldStart, newStart] = positions[from];
+    lines.push(
+      `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`
+    );
+    hunk.forEach(([type, line]) => lines.push(`${type}${line}`));
+  }
+  return lines.join("\n");
+}
+
+const sameState = (actual, expected) =>
+  actual.exists === expected.exists && (!actual.exists || actual.sha256 === expected.sha256);
+
+// Every file write, copy, delete and database update a tool makes goes through one of these.
+// Live, each call just does the work. In a dry run nothing is touched: the call is recorded
+// with the state it expects to find, later calls see the files as the plan would leave them,
+// and the result prints as a unified diff and saves as JSON for `change-plan.js apply`:
+// { "version": 1, "tool", "createdAt", "operations": [{ type, path, before, after, diff, ... }] }
+// Binary contents are kept next to the plan in <plan>.blobs/, named by their hash.
+// Live changes are journaled first (see run-journal.js), so every run can be rolled back.
+class ChangePlan {
+  constructor(options = {}) {
+    this.tool = options.tool || path.basename(process.argv[1] || "script", ".js");
+    this.dryRun = options.dryRun || false;
+    this.planPath = options.planPath || null;
+    this.blobDir = options.blobDir || null;
+    this.createdAt = new Date().toISOString();
+    this.operations = [];
+    // path -> { exists, sha256, content } once the operations planned so far have run
+    this.pending = new Map();
+    // path -> this run's write that found the file as it is on disk
+    this.rewritable = new Map();
+    this.journal = this.dryRun ? null : new RunJournal({ tool: this.tool, runId: options.runId });
+  }
+
+  // --dry-run prints the plan; --plan=<file> also saves it to apply later
+  static fromArgs(tool, args) {
+    const planArg = args.find((arg) => arg.startsWith("--plan="));
+    const planPath = planArg ? path.resolve(planArg.split("=")[1]) : null;
+    return new ChangePlan({
+      tool,
+      dryRun: Boolean(planPath) || args.includes("--dry-run"),
+      planPath,
+      blobDir: planPath ? `${planPath}.blobs` : null,
+    });
+  }
+
+  // Tools take either a plan or, on a worker thread, the settings from workerOptions()
+  static from(plan, tool) {
+    return plan instanceof ChangePlan ? plan : new ChangePlan({ tool, ...plan });
+  }
+
+  static load(planPath) {
+    const data = JSON.parse(fs.readFileSync(planPath, "utf8"));
+    const plan = new ChangePlan({ tool: data.tool, planPath, blobDir: `${planPath}.blobs` });
+    plan.createdAt = data.createdAt;
+    plan.operations = data.operations || [];
+    return plan;
+  }
+
+  // A worker records into its own plan; drain() hands those operations back to adopt() here.
+  // Workers journal into this run, so it has to exist before they start.
+  workerOptions() {
+    return { tool: this.tool, dryRun: this.dryRun, blobDir: this.blobDir, runId: this.journal ? this.journal.start() : null };
+  }
+
+  drain() {
+    const operations = this.operations;
+    this.operations = [];
+    return operations;
+  }
+
+  adopt(operations = []) {
+    operations.forEach((operation) => this.record(operation));
+  }
+
+  relative(filePath) {
+    return path.relative(PROJECT_ROOT, path.resolve(filePath));
+  }
+
+  track(operation) {
+    if (operation.type === "sql") return;
+    const target = path.resolve(PROJECT_ROOT, operation.path);
+    this.rewritable.delete(target);
+    if (operation.type === "delete") {
+      this.pending.set(target, { exists: false });
+    } else if (operation.type === "mkdir") {
+      this.pending.set(target, { exists: true, directory: true });
+    } else {
+      this.pending.set(target, { exists: true, sha256: operation.after, content: operation.content });
+    }
+  }
+
+  record(operation) {
+    this.operations.push(operation);
+    if (this.dryRun) this.track(operation);
+  }
+
+  state(filePath) {
+    const target = path.resolve(filePath);
+    if (this.pending.has(target)) return this.pending.get(target);
+    if (!fs.existsSync(target)) return { exists: false };
+    return { exists: true, sha256: sha256(fs.readFileSync(target)) };
+  }
+
+  exists(filePath) {
+    const target = path.resolve(filePath);
+    return this.pending.has(target) ? this.pending.get(target).exists : fs.existsSync(target);
+  }
+
+  readFile(filePath, encoding) {
+    const target = path.resolve(filePath);
+    const planned = this.pending.get(target);
+    if (planned && !planned.exists) throw new Error(`ENOENT: ${this.relative(target)} is deleted by this plan`);
+    if (planned && planned.content !== undefined) {
+      return encoding ? planned.content : Buffer.from(planned.content);
+    }
+    if (planned && !planned.directory && !fs.existsSync(target)) {
+      throw new Error(`${this.relative(target)} is only written by this plan and its contents are binary`);
+    }
+    return fs.readFileSync(target, encoding);
+  }
+
+  hashFile(filePath) {
+    const target = path.resolve(filePath);
+    return this.pending.has(target) ? this.pending.get(target).sha256 : sha256(fs.readFileSync(target));
+  }
+
+  label(prefix, filePath, exists) {
+    return exists ? `${prefix}/${filePath}` : "/dev/null";
+  }
+
+  // Text as it stands before this operation, for diffing; binary contents have none
+  currentText(target, state) {
+    if (!state.exists) return "";
+    if (state.content !== undefined) return state.content;
+    if (this.pending.has(target)) return null;
+    const content = fs.readFileSync(target);
+    return isBinary(content) ? null : content.toString("utf8");
+  }
+
+  writeFile(filePath, content) {
+    const target = path.resolve(filePath);
+    const relativePath = this.relative(target);
+
+    if (!this.dryRun) {
+      this.journal.recordDir(fs.mkdirSync(path.dirname(target), { recursive: true }));
+      this.journal.snapshotFile(target);
+      // Write-then-rename so an interrupted run never leaves a truncated file
+      const tempPath = `${target}.tmp`;
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, target);
+      this.record({ type: "write", path: relativePath });
+      return;
+    }
+
+    // A file saved again in the same run, like a manifest saved after every image, stays one
+    // change against what is on disk
+    const earlier = this.rewritable.get(target);
+    if (earlier) {
+      this.operations.splice(this.operations.indexOf(earlier), 1);
+      this.pending.delete(target);
+    }
+
+    const data = typeof content === "string" ? content : toBuffer(content);
+    const fromDisk = !this.pending.has(target);
+    const before = this.state(target);
+    const after = sha256(data);
+    // Rewriting a file with what it already holds changes nothing
+    if (before.exists && before.sha256 === after) return;
+
+    const operation = {
+      type: "write",
+      path: relativePath,
+      before: { exists: before.exists, sha256: before.sha256 },
+      after,
+      size: typeof data === "string" ? Buffer.byteLength(data) : data.length,
+    };
+    const oldText = this.currentText(target, before);
+    if (isBinary(data) || oldText === null) {
+      operation.blob = this.storeBlob(data, after);
+      operation.diff = `Binary files ${this.label("a", relativePath, before.exists)} and b/${relativePath} differ`;
+    } else {
+      operation.content = data.toString("utf8");
+      operation.diff = unifiedDiff(
+        oldText,
+        operation.content,
+        this.label("a", relativePath, before.exists),
+        `b/${relativePath}`
+      );
+    }
+    this.record(operation);
+    if (fromDisk) this.rewritable.set(target, operation);
+  }
+
+  storeBlob(data, hash) {
+    // Only an exported plan can be applied, so only then are the bytes worth keeping
+    if (!this.blobDir) return null;
+    const blobPath = path.join(this.blobDir, hash);
+    if (!fs.existsSync(blobPath)) {
+      fs.mkdirSync(this.blobDir, { recursive: true });
+      fs.writeFileSync(blobPath, data);
+    }
+    return hash;
+  }
+
+  copyFile(fromPath, toPath) {
+    const source = path.resolve(fromPath);
+    const target = path.resolve(toPath);
+
+    if (!this.dryRun) {
+      this.journal.recordDir(fs.mkdirSync(path.dirname(target), { recursive: true }));
+      this.journal.snapshotFile(target);
+      fs.copyFileSync(source, target);
+      this.record({ type: "copy", from: this.relative(source), path: this.relative(target) });
+      return;
+    }
+
+    const before = this.state(target);
+    this.record({
+      type: "copy",
+      from: this.relative(source),
+      path: this.relative(target),
+      before: { exists: before.exists, sha256: before.sha256 },
+      after: this.hashFile(source),
+      diff: `copy from ${this.relative(source)}\ncopy to ${this.relative(target)}`,
+    });
+  }
+
+  mkdir(dirPath) {
+    const target = path.resolve(dirPath);
+    if (!this.dryRun) {
+      this.journal.recordDir(fs.mkdirSync(target, { recursive: true }));
+      this.record({ type: "mkdir", path: this.relative(target) });
+      return;
+    }
+    if (this.exists(target)) return;
+    this.record({ type: "mkdir", path: this.relative(target), diff: `mkdir ${this.relative(target)}` });
+  }
+
+  deleteFile(filePath) {
+    const target = path.resolve(filePath);
+    const relativePath = this.relative(target);
+
+    if (!this.dryRun) {
+      this.journal.snapshotFile(target);
+      fs.unlinkSync(target);
+      this.record({ type: "delete", path: relativePath });
+      return;
+    }
+
+    const before = this.state(target);
+    if (!before.exists) throw new Error(`ENOENT: no such file, unlink '${target}'`);
+    const oldText = this.currentText(target, before);
+    this.record({
+      type: "delete",
+      path: relativePath,
+      before: { exists: true, sha256: before.sha256 },
+      diff:
+        oldText === null
+          ? `Binary files a/${relativePath} and /dev/null differ`
+          : unifiedDiff(oldText, "", `a/${relativePath}`, "/dev/null"),
+    });
+  }
+
+  // db is a PrismaClient. touched: { table, key, column, where, params } naming the one column
+  // the statement changes and the rows it changes it in. A dry run counts those rows and leaves
+  // out statements that would change nothing; a live run journals their current values in the
+  // same transaction as the update.
+  async executeSql(db, sql, params = [], touched = null) {
+    if (!this.dryRun) {
+      const rows = await db.$transaction(async (tx) => {
+        if (touched) {
+          const current = await tx.$queryRawUnsafe(
+            `SELECT ${touched.key} AS "key", ${touched.column} AS "value" FROM ${touched.table} WHERE ${touched.where}`,
+            ...touched.params
+          );
+          this.journal.recordRows(touched.table, touched.key, touched.column, current);
+        }
+        return Number(await tx.$executeRawUnsafe(sql, ...params));
+      });
+      this.record({ type: "sql", sql, params, rows });
+      return rows;
+    }
+
+    let rows = null;
+    if (touched) {
+      const [result] = await db.$queryRawUnsafe(
+        `SELECT COUNT(*) AS count FROM ${touched.table} WHERE ${touched.where}`,
+        ...touched.params
+      );
+      rows = Number(result.count);
+      if (rows === 0) return 0;
+    }
+    this.record({
+      type: "sql",
+      sql,
+      params,
+      touched,
+      rows,
+      diff: `-- ${rows === null ? "?" : rows} row(s)\n${sql}; -- ${JSON.stringify(params)}`,
+    });
+    return rows || 0;
+  }
+
+  summary() {
+    const counts = {};
+    this.operations.forEach((operation) => {
+      counts[operation.type] = (counts[operation.type] || 0) + 1;
+    });
+    const labels = { write: "write(s)", copy: "copy(ies)", mkdir: "directory(ies)", delete: "delete(s)", sql: "SQL update(s)" };
+    return Object.keys(labels)
+      .filter((type) => counts[type])
+      .map((type) => `${counts[type]} ${labels[type]}`)
+      .join(", ");
+  }
+
+  print() {
+    console.log(`\n📝 PLAN: ${this.tool}`);
+    console.log("=".repeat(50));
+    if (this.operations.length === 0) {
+      console.log("✅ Nothing to change");
+      return;
+    }
+    console.log(`📊 ${this.summary()}\n`);
+    this.operations.forEach((operation) => {
+      if (operation.diff) console.log(operation.diff);
+    });
+  }
+
+  save(planPath = this.planPath) {
+    fs.mkdirSync(path.dirname(planPath), { recursive: true });
+    fs.writeFileSync(
+      planPath,
+      JSON.stringify(
+        { version: 1, tool: this.tool, createdAt: this.createdAt, operations: this.operations },
+        null,
+        2
+      )
+    );
+  }
+
+  // Called once a tool is done; a dry run ends by showing (and saving) what it would have done,
+  // a live run by closing its journal
+  finish() {
+    if (!this.dryRun) {
+      if (this.journal.runId) {
+        this.journal.finish();
+        console.log(`\n↩️  Run journaled as ${this.journal.runId}; undo it with: node scripts/run-journal.js rollback ${this.journal.runId}`);
+      }
+      return;
+    }
+    this.print();
+    if (this.planPath) {
+      this.save();
+      console.log(`\n📄 Plan saved to: ${this.planPath}`);
+      console.log(`💡 Apply it with: node scripts/change-plan.js apply ${path.relative(process.cwd(), this.planPath)}`);
+    }
+    console.log("\n🔍 Dry run: nothing was changed");
+  }
+
+  // Files that no longer look the way the plan expects; applying over them would lose changes
+  // made since it was saved. The expected states are replayed in order, so a file the plan
+  // writes twice is checked against its own first write.
+  conflicts() {
+    const expected = new Map();
+    const stateOf = (target) => {
+      if (expected.has(target)) return expected.get(target);
+      if (!fs.existsSync(target)) return { exists: false };
+      return { exists: true, sha256: sha256(fs.readFileSync(target)) };
+    };
+    const conflicts = [];
+
+    this.operations.forEach((operation) => {
+      if (operation.type === "sql" || operation.type === "mkdir") return;
+      const target = path.resolve(PROJECT_ROOT, operation.path);
+
+      if (!sameState(stateOf(target), operation.before)) {
+        conflicts.push({ path: operation.path, reason: "changed since the plan was made" });
+      }
+      if (operation.type === "copy") {
+        const source = stateOf(path.resolve(PROJECT_ROOT, operation.from));
+        if (!sameState(source, { exists: true, sha256: operation.after })) {
+          conflicts.push({ path: operation.from, reason: "copy source changed since the plan was made" });
+        }
+      }
+      if (operation.type === "write" && operation.content === undefined &&
+          !(operation.blob && this.blobDir && fs.existsSync(path.join(this.blobDir, operation.blob)))) {
+        conflicts.push({ path: operation.path, reason: "binary contents missing from the plan" });
+      }
+
+      expected.set(target, operation.type === "delete" ? { exists: false } : { exists: true, sha256: operation.after });
+    });
+    return conflicts;
+  }
+
+  // Carries out a loaded plan. Nothing is touched unless every file still matches it,
+  // or force is set; database statements cannot be checked and always run.
+  async apply(options = {}) {
+    const conflicts = this.conflicts();
+    if (conflicts.length > 0 && !options.force) {
+      const list = conflicts.map((conflict) => `${conflict.path}: ${conflict.reason}`).join("; ");
+      throw new Error(`Plan no longer matches the files (${list}); re-run the tool or use --force`);
+    }
+
+    const live = new ChangePlan({ tool: this.tool });
+    let db = null;
+    try {
+      for (const operation of this.operations) {
+        const target = operation.path ? path.resolve(PROJECT_ROOT, operation.path) : null;
+        if (operation.type === "write") {
+          const content =
+            operation.content !== undefined
+              ? operation.content
+              : fs.readFileSync(path.join(this.blobDir, operation.blob));
+          live.writeFile(target, content);
+        } else if (operation.type === "copy") {
+          live.copyFile(path.resolve(PROJECT_ROOT, operation.from), target);
+        } else if (operation.type === "mkdir") {
+          live.mkdir(target);
+        } else if (operation.type === "delete") {
+          if (fs.existsSync(target)) live.deleteFile(target);
+        } else if (operation.type === "sql") {
+          if (!db) {
+            const { PrismaClient } = require("@prisma/client");
+            db = new PrismaClient();
+          }
+          await live.executeSql(db, operation.sql, operation.params, operation.touched);
+        }
+        console.log(`✅ ${operation.type} ${operation.path || operation.sql}`);
+      }
+    } finally {
+      if (db) await db.$disconnect();
+    }
+    live.finish();
+    return live.operations;
+  }
+}
+
+function printUsage() {
+  console.log(`
+Usage: node scripts/change-plan.js <show|apply> <plan.json> [--force]
+
+  show    Print a saved plan as unified diffs
+  apply   Carry out a saved plan; refuses if any file changed since it was made
+  --force Apply anyway, overwriting those changes
+
+Plans come from running a mutating tool with --plan=<file> (--dry-run only prints):
+  node scripts/css-optimizer.js --plan=css-plan.json
+`);
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, planPath] = args.filter((arg) => !arg.startsWith("--"));
+
+  if (args.includes("--help") || !["show", "apply"].includes(command) || !planPath) {
+    printUsage();
+    if (!args.includes("--help")) process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const plan = ChangePlan.load(path.resolve(planPath));
+    if (command === "show") {
+      plan.print();
+      const conflicts = plan.conflicts();
+      if (conflicts.length > 0) {
+        console.log(`\n⚠️  ${conflicts.length} file(s) changed since the plan was made:`);
+        conflicts.forEach((conflict) => console.log(`   ${conflict.path}: ${conflict.reason}`));
+      }
+      return;
+    }
+
+    console.log(`🚀 Applying plan from ${plan.tool} (${plan.createdAt}): ${plan.summary()}`);
+    const applied = await plan.apply({ force: args.includes("--force") });
+    console.log(`\n🎉 Applied ${applied.length} operation(s)`);
+  } catch (error) {
+    console.error("❌ Plan failed:", error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = ChangePlan;
@@ -2,10 +2,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const ChangePlan = require('./change-plan');
 
 class CriticalPerformanceFixes {
-  constructor() {
+  constructor(options = {}) {
     this.projectRoot = path.join(__dirname, '..');
+    this.plan = ChangePlan.from(options.plan, 'critical-performance-fixes');
     this.harData = null;
   }
 
@@ -122,7 +124,7 @@ class CriticalPerformanceFixes {
       // Insert performance optimizations
       if (!content.includes('poweredByHeader: false')) {
         content = content.replace(/module\.exports\s*=\s*{/, `module.exports = {\n${performanceOptimizations}`);
-        fs.writeFileSync(nextConfigPath, content);
+        this.plan.writeFile(nextConfigPath, content);
         console.log('✅ Enhanced Next.js config with server response optimizations');
       } else {
         console.log('✅ Next.js config already optimized');
@@ -195,7 +197,7 @@ export default function PerformanceOptimizer() {
     const preloadPath = path.join(componentsDir, 'PerformanceOptimizer.tsx');
     
     if (!fs.existsSync(preloadPath)) {
-      fs.writeFileSync(preloadPath, preloadComponent);
+      this.plan.writeFile(preloadPath, preloadComponent);
       console.log('✅ Created PerformanceOptimizer component for resource preloading');
     } else {
       console.log('✅ PerformanceOptimizer component already exists');
@@ -245,12 +247,10 @@ export function usePreloadData(pages) {
     const optimizationPath = path.join(this.projectRoot, 'lib', 'performance-utils.tsx');
     const libDir = path.join(this.projectRoot, 'lib');
     
-    if (!fs.existsSync(libDir)) {
-      fs.mkdirSync(libDir, { recursive: true });
-    }
+    this.plan.mkdir(libDir);
     
     if (!fs.existsSync(optimizationPath)) {
-      fs.writeFileSync(optimizationPath, loadingOptimization);
+      this.plan.writeFile(optimizationPath, loadingOptimization);
       console.log('✅ Created performance utilities for server components');
     } else {
       console.log('✅ Performance utilities already exist');
@@ -311,7 +311,7 @@ export function PerformanceMonitor() {
     const monitoringPath = path.join(this.projectRoot, 'lib', 'performance-monitor.tsx');
     
     if (!fs.existsSync(monitoringPath)) {
-      fs.writeFileSync(monitoringPath, monitoringScript);
+      this.plan.writeFile(monitoringPath, monitoringScript);
       console.log('✅ Created performance monitoring utilities');
     } else {
       console.log('✅ Performance monitoring already exists');
@@ -342,7 +342,7 @@ export function PerformanceMonitor() {
       if (!content.includes('X-DNS-Prefetch-Control')) {
         // Add performance headers before return
         content = content.replace(/return response/g, `${performanceHeaders}\n  return response`);
-        fs.writeFileSync(middlewarePath, content);
+        this.plan.writeFile(middlewarePath, content);
         console.log('✅ Enhanced middleware with performance headers');
       } else {
         console.log('✅ Middleware already optimized');
@@ -386,7 +386,7 @@ export function PerformanceMonitor() {
     };
 
     const reportPath = path.join(this.projectRoot, 'critical-performance-fixes-report.json');
-    fs.writeFileSync(reportPath, JSON.stringify({
+    this.plan.writeFile(reportPath, JSON.stringify({
       timestamp: new Date().toISOString(),
       harAnalysisSource: this.harData?.timestamp || 'N/A',
       expectedImprovements,
@@ -422,8 +422,11 @@ export function PerformanceMonitor() {
 
 // Main execution
 async function main() {
-  const optimizer = new CriticalPerformanceFixes();
+  const optimizer = new CriticalPerformanceFixes({
+    plan: ChangePlan.fromArgs('critical-performance-fixes', process.argv.slice(2))
+  });
   await optimizer.applyFixes();
+  optimizer.plan.finish();
 }
 
 if (require.main === module) {
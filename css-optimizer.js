@@ -1,9 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const ChangePlan = require('./change-plan');
 
 class CSSOptimizer {
-  constructor() {
+  constructor(options = {}) {
     this.projectRoot = process.cwd();
+    this.plan = ChangePlan.from(options.plan, 'css-optimizer');
     this.criticalCss = [];
     this.unusedSelectors = new Set();
   }
@@ -122,7 +124,7 @@ class CSSOptimizer {
       .trim();
 
     // Write optimized CSS
-    fs.writeFileSync(cssPath, cssContent);
+    this.plan.writeFile(cssPath, cssContent);
     
     const newSize = cssContent.length;
     const savings = ((originalSize - newSize) / originalSize * 100).toFixed(1);
@@ -135,13 +137,8 @@ class CSSOptimizer {
     
     // Create critical CSS file
     const criticalCSSPath = path.join(this.projectRoot, 'styles/critical.css');
-    const stylesDir = path.dirname(criticalCSSPath);
-    
-    if (!fs.existsSync(stylesDir)) {
-      fs.mkdirSync(stylesDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(criticalCSSPath, this.criticalCss);
+    this.plan.mkdir(path.dirname(criticalCSSPath));
+    this.plan.writeFile(criticalCSSPath, this.criticalCss);
     
     console.log('✅ Critical CSS saved to styles/critical.css');
   }
@@ -173,7 +170,7 @@ class CSSOptimizer {
     gzipSize: true,`
         );
         
-        fs.writeFileSync(nextConfigPath, content);
+        this.plan.writeFile(nextConfigPath, content);
         console.log('✅ Next.js config updated for CSS optimization');
       }
     }
@@ -192,12 +189,13 @@ class CSSOptimizer {
     let globalsSize = 0;
     let criticalSize = 0;
     
-    if (fs.existsSync(globalsCSSPath)) {
-      globalsSize = fs.statSync(globalsCSSPath).size;
+    // Read through the plan so a dry run reports the sizes it would produce
+    if (this.plan.exists(globalsCSSPath)) {
+      globalsSize = this.plan.readFile(globalsCSSPath).length;
     }
     
-    if (fs.existsSync(criticalCSSPath)) {
-      criticalSize = fs.statSync(criticalCSSPath).size;
+    if (this.plan.exists(criticalCSSPath)) {
+      criticalSize = this.plan.readFile(criticalCSSPath).length;
     }
     
     console.log(`📄 Main CSS file: ${(globalsSize / 1024).toFixed(2)}KB`);
@@ -210,11 +208,15 @@ class CSSOptimizer {
 
 // Main execution
 async function main() {
-  const optimizer = new CSSOptimizer();
+  const optimizer = new CSSOptimizer({
+    plan: ChangePlan.fromArgs('css-optimizer', process.argv.slice(2))
+  });
   
   try {
     await optimizer.optimizeCSS();
     await optimizer.generateReport();
+    optimizer.plan.finish();
+    if (optimizer.plan.dryRun) return;
     
     console.log('\n🎉 CSS optimization completed successfully!');
     console.log('💡 To achieve maximum performance:');
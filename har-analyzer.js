@@ -2,11 +2,56 @@
 
 const fs = require("fs");
 const path = require("path");
+const zlib = require("zlib");
 const { execSync } = require("child_process");
+const PerformanceBudget = require("./performance-budget");
+const HARStreamReader = require("./har-stream");
+const ResultsStore = require("./results-store");
+
+// Public Suffix List, loaded on first use so that loading or sanitizing a HAR needs only Node
+let psl = null;
+function publicSuffixList() {
+  if (!psl) {
+    try {
+      psl = require("psl");
+    } catch (error) {
+      throw new Error("Grouping third parties needs the psl package; install it with: npm install psl");
+    }
+  }
+  return psl;
+}
+
+// HAR 1.2 timing phases in wire order; ssl is a sub-span of connect
+const TIMING_PHASES = ["blocked", "dns", "connect", "ssl", "send", "wait", "receive"];
+
+// Defaults for the per-request checks; a budget file's "thresholds" section overrides them
+const DEFAULT_THRESHOLDS = {
+  slowRequest: 100, // ms
+  largeFile: 500 * 1024, // bytes
+  gap: 50, // ms
+  criticalGap: 200, // ms
+  rscChainGap: 200, // ms between one RSC fetch finishing and the next one starting
+};
+
+// Response headers that say whether the image optimizer (or the CDN in front of it) had the image cached
+const CACHE_STATUS_HEADERS = ["x-nextjs-cache", "x-vercel-cache", "cf-cache-status", "x-cache"];
+
+// HAR files above this size are streamed entry by entry instead of parsed in one go
+const STREAM_THRESHOLD_BYTES = 64 * 1024 * 1024;
+
+// Hashed build output can be cached for the nginx/Next.js configured year
+const ONE_YEAR_SECONDS = 31536000;
 
 class HARAnalyzer {
-  constructor() {
-    this.harFile = null;
+  constructor(options = {}) {
+    this.pages = null;
+    this.firstPartyDomains = options.firstPartyDomains || [];
+    this.budget = options.budget || null;
+    this.stream = options.stream || false;
+    this.includeBodies = options.includeBodies || false;
+    this.label = options.label || null;
+    this.quiet = options.quiet || false;
+    this.harFilePath = null;
     this.analysisReport = {
       totalLoadTime: 0,
       criticalPathItems: [],
@@ -16,61 +61,248 @@ class HARAnalyzer {
       performanceGaps: [],
       optimizations: [],
       resourceBreakdown: {},
+      timingBreakdown: { byType: {}, byOrigin: {} },
+      diagnoses: [],
+      headerAudit: { checked: 0, issues: [], estimatedSavings: { compression: 0, caching: 0, negotiation: 0 } },
       bottlenecks: [],
+      thirdParty: { domains: [] },
+      nextjs: { categories: {}, rscChains: [], imageCache: { checked: 0, hits: 0, stale: 0, misses: [] } },
+      pages: [],
+      pageSummary: null,
+      budgets: [],
     };
-    this.targetLoadTime = 2; // 2ms target
+    this.targetLoadTime = this.budget && this.budget.loadTime !== undefined ? this.budget.loadTime : 2; // 2ms target
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(this.budget ? this.budget.thresholds : {}) };
+  }
+
+  // Quiet analyzers (har-diff runs two side by side) keep the numbers without the commentary
+  log(...args) {
+    if (!this.quiet) console.log(...args);
   }
 
   async analyzeHARFile(harFilePath) {
     try {
-      console.log("🔍 Starting HAR file analysis...");
-      console.log(`📁 Reading HAR file: ${harFilePath}`);
+      this.log("🔍 Starting HAR file analysis...");
+      this.log(`📁 Reading HAR file: ${harFilePath}`);
 
-      if (!fs.existsSync(harFilePath)) {
-        throw new Error(`HAR file not found: ${harFilePath}`);
-      }
-
-      const harContent = JSON.parse(fs.readFileSync(harFilePath, "utf8"));
-      this.harFile = harContent;
+      await this.loadPages(harFilePath);
 
       await this.performAnalysis();
-      this.generateReport();
       this.generateOptimizationPlan();
+      this.generateReport();
     } catch (error) {
       console.error("❌ HAR analysis failed:", error.message);
       process.exit(1);
     }
   }
 
+  async loadHARFile(harFilePath) {
+    if (!fs.existsSync(harFilePath)) {
+      throw new Error(`HAR file not found: ${harFilePath}`);
+    }
+
+    const { size } = fs.statSync(harFilePath);
+    if (!this.stream && size < STREAM_THRESHOLD_BYTES) {
+      return JSON.parse(fs.readFileSync(harFilePath, "utf8"));
+    }
+
+    // Large captures: never hold the raw file or its response bodies in memory
+    this.log(`🌊 Streaming ${this.formatBytes(size)} HAR${this.includeBodies ? "" : " (skipping response bodies)"}...`);
+    const entries = [];
+    const reader = new HARStreamReader({ includeBodies: this.includeBodies });
+    const { log } = await reader.read(harFilePath, (entry) => entries.push(entry));
+
+    return { log: { ...log, entries } };
+  }
+
+  // Reads a HAR straight into per-page entry lists. Each entry goes to its page as soon as it is
+  // parsed and drops its bodies on the way in, after the compression estimate has been taken
+  // from them, so reports match however the file was read.
+  async loadPages(harFilePath) {
+    if (!fs.existsSync(harFilePath)) {
+      throw new Error(`HAR file not found: ${harFilePath}`);
+    }
+    this.harFilePath = harFilePath;
+
+    const grouper = HARAnalyzer.createPageGrouper();
+    const { size } = fs.statSync(harFilePath);
+    if (!this.stream && size < STREAM_THRESHOLD_BYTES) {
+      const { log } = JSON.parse(fs.readFileSync(harFilePath, "utf8"));
+      grouper.setPages(log.pages);
+      log.entries.forEach((entry) => grouper.add(this.condenseEntry(entry)));
+    } else {
+      // Large captures: never hold the raw file, or more than one entry's bodies, in memory
+      this.log(`🌊 Streaming ${this.formatBytes(size)} HAR...`);
+      const reader = new HARStreamReader({ includeBodies: true });
+      const { log } = await reader.read(harFilePath, (entry) => grouper.add(this.condenseEntry(entry)));
+      grouper.setPages(log.pages);
+    }
+
+    this.pages = grouper.pages();
+    return this.pages;
+  }
+
+  // Bodies are only read by the compression estimate; take it now and let the text go
+  condenseEntry(entry) {
+    if (this.includeBodies) return entry;
+
+    const content = entry.response.content || {};
+    if (content.text !== undefined) {
+      if (this.isUncompressed(entry)) content._compressedSize = this.estimateCompressedSize(entry);
+      delete content.text;
+      delete content.encoding;
+    }
+    if (entry.request.postData && entry.request.postData.text !== undefined) {
+      entry.request.postData.text = "";
+    }
+    return entry;
+  }
+
   async performAnalysis() {
-    const entries = this.harFile.log.entries;
+    const pages = this.pages;
+    const requestCount = pages.reduce((sum, page) => sum + page.entries.length, 0);
+
+    this.log(`📊 Analyzing ${requestCount} network requests across ${pages.length} page(s)...`);
+
+    pages.forEach((page) => {
+      this.analysisReport.pages.push(this.analyzePage(page));
+    });
 
-    console.log(`📊 Analyzing ${entries.length} network requests...`);
+    // Cross-page summary
+    this.summarizePages();
+
+    // Budgets
+    if (this.budget) {
+      this.analysisReport.budgets = this.budget.evaluate(this, pages);
+    }
+  }
+
+  // Groups entries by pageref so separate navigations never share one timeline. Entries are
+  // accepted before log.pages is known, since a streamed HAR may list its pages after its
+  // entries. Pages come out in log.pages order, then unlisted pagerefs as first seen.
+  static createPageGrouper() {
+    const pagesById = new Map();
+    let listed = [];
+
+    return {
+      setPages(pages) {
+        listed = [...new Set((pages || []).map((page) => page.id))];
+        (pages || []).forEach((page) => {
+          const fields = {
+            id: page.id,
+            title: page.title || page.id,
+            startedDateTime: page.startedDateTime,
+            pageTimings: page.pageTimings || {},
+          };
+          const existing = pagesById.get(page.id);
+          if (existing) Object.assign(existing, fields);
+          else pagesById.set(page.id, { ...fields, entries: [] });
+        });
+      },
+
+      add(entry) {
+        // Entries without a known pageref (beacons, service worker fetches) share one bucket
+        const id = entry.pageref || "unassigned";
+        let page = pagesById.get(id);
+        if (!page) {
+          page = { id, title: id, startedDateTime: entry.startedDateTime, pageTimings: {}, entries: [] };
+          pagesById.set(id, page);
+        }
+        page.entries.push(entry);
+      },
+
+      pages() {
+        const unlisted = [...pagesById.values()].filter((page) => !listed.includes(page.id));
+        return listed
+          .map((id) => pagesById.get(id))
+          .concat(unlisted)
+          .filter((page) => page.entries.length > 0);
+      },
+    };
+  }
+
+  analyzePage(page) {
+    const entries = page.entries;
+    const report = {
+      id: page.id,
+      title: page.title,
+      startedDateTime: page.startedDateTime,
+      requestCount: entries.length,
+      totalLoadTime: 0,
+      onContentLoad: this.readPageTiming(page.pageTimings.onContentLoad),
+      onLoad: this.readPageTiming(page.pageTimings.onLoad),
+      loadTime: 0,
+      criticalPathItems: [],
+      criticalPath: null,
+      performanceGaps: [],
+      resourceBreakdown: {},
+      timingBreakdown: { byType: {}, byOrigin: {} },
+      diagnoses: [],
+      headerAudit: { checked: 0, issues: [], estimatedSavings: { compression: 0, caching: 0, negotiation: 0 } },
+      bottlenecks: [],
+      firstPaint: this.readPageTiming(
+        [page.pageTimings._firstContentfulPaint, page.pageTimings._firstPaint, page.pageTimings._render].find(
+          (value) => typeof value === "number" && value >= 0
+        )
+      ),
+      thirdParty: { firstPartyDomains: this.getFirstPartyDomains(entries), domains: [] },
+      nextjs: { categories: {}, rscChains: [], imageCache: { checked: 0, hits: 0, stale: 0, misses: [] } },
+    };
+
+    this.log(`📄 Page "${report.title}": ${entries.length} requests`);
 
     // Calculate total load time
-    const startTime = new Date(entries[0].startedDateTime).getTime();
-    const endTime = Math.max(...entries.map((entry) => new Date(entry.startedDateTime).getTime() + entry.time));
-    this.analysisReport.totalLoadTime = endTime - startTime;
+    // Reduce rather than spread: Math.min(...array) overflows the call stack on very large captures
+    const startTime = entries.reduce((min, entry) => Math.min(min, new Date(entry.startedDateTime).getTime()), Infinity);
+    const endTime = entries.reduce(
+      (max, entry) => Math.max(max, new Date(entry.startedDateTime).getTime() + entry.time),
+      -Infinity
+    );
+    report.totalLoadTime = endTime - startTime;
+
+    // Prefer the browser's own load event over the network span when the HAR has it
+    report.loadTime = report.onLoad !== null ? report.onLoad : report.totalLoadTime;
 
     // Analyze each request
     entries.forEach((entry, index) => {
-      this.analyzeRequest(entry, index, startTime);
+      this.analyzeRequest(entry, index, startTime, report);
     });
 
+    // Diagnose origin-level timing problems
+    this.diagnoseOrigins(entries, report);
+
+    // Audit compression and caching headers
+    this.auditResponseHeaders(entries, report);
+
     // Identify critical path
-    this.identifyCriticalPath(entries);
+    const nodes = this.buildDependencyGraph(entries, startTime);
+    this.identifyCriticalPath(nodes, report);
+
+    // Third-party impact
+    const pageStartOffset = page.startedDateTime ? new Date(page.startedDateTime).getTime() - startTime : 0;
+    this.analyzeThirdParties(nodes, pageStartOffset, report);
+
+    // Next.js: RSC waterfalls and image optimizer cache
+    this.analyzeNextjs(nodes, report);
 
     // Find performance gaps
-    this.findPerformanceGaps(entries, startTime);
+    this.findPerformanceGaps(entries, startTime, report);
 
     // Resource breakdown
-    this.analyzeResourceBreakdown(entries);
+    this.analyzeResourceBreakdown(report);
 
     // Identify bottlenecks
-    this.identifyBottlenecks(entries);
+    this.identifyBottlenecks(report);
+
+    return report;
   }
 
-  analyzeRequest(entry, index, startTime) {
+  readPageTiming(value) {
+    // HAR uses -1 (or omits the field) when a timing does not apply
+    return typeof value === "number" && value >= 0 ? value : null;
+  }
+
+  analyzeRequest(entry, index, startTime, report) {
     const url = entry.request.url;
     const method = entry.request.method;
     const status = entry.response.status;
@@ -79,42 +311,209 @@ class HARAnalyzer {
     const time = entry.time;
     const relativeStartTime = new Date(entry.startedDateTime).getTime() - startTime;
 
-    // Categorize resource types
-    let resourceType = "other";
-    if (contentType.includes("text/html")) resourceType = "html";
-    else if (contentType.includes("text/css")) resourceType = "css";
-    else if (contentType.includes("javascript")) resourceType = "js";
-    else if (contentType.includes("image/")) resourceType = "image";
-    else if (contentType.includes("font/")) resourceType = "font";
+    const resourceType = this.getResourceType(entry);
+    const phases = this.getTimingPhases(entry);
+    const dominantPhase = this.getDominantPhase(phases);
 
     // Check for performance issues
-    if (time > 100) {
-      // Requests taking more than 100ms
-      this.analysisReport.bottlenecks.push({
-        url: url.substring(0, 100) + (url.length > 100 ? "..." : ""),
+    if (time > this.thresholds.slowRequest) {
+      report.bottlenecks.push({
+        url,
         type: resourceType,
         time: time,
         size: this.formatBytes(size),
         startTime: relativeStartTime,
         issue: "Slow request",
+        cause: dominantPhase,
+        phases,
       });
     }
 
-    if (size > 500 * 1024) {
-      // Files larger than 500KB
-      this.analysisReport.bottlenecks.push({
-        url: url.substring(0, 100) + (url.length > 100 ? "..." : ""),
+    if (size > this.thresholds.largeFile) {
+      report.bottlenecks.push({
+        url,
         type: resourceType,
         time: time,
         size: this.formatBytes(size),
         startTime: relativeStartTime,
         issue: "Large file size",
+        cause: dominantPhase,
+        phases,
       });
     }
 
+    this.diagnoseRequest(entry, resourceType, phases, report);
+
     // Update resource breakdown
-    if (!this.analysisReport.resourceBreakdown[resourceType]) {
-      this.analysisReport.resourceBreakdown[resourceType] = {
+    this.addToBreakdown(report.resourceBreakdown, resourceType, { count: 1, totalSize: size, totalTime: time });
+    this.addToTimingBreakdown(report.timingBreakdown.byType, resourceType, { count: 1, ...phases });
+    this.addToTimingBreakdown(report.timingBreakdown.byOrigin, this.getOrigin(url), { count: 1, ...phases });
+  }
+
+  getTransferSize(entry) {
+    // Bytes on the wire; content.size is the decoded body and hides compression
+    if (entry.response._transferSize > 0) return entry.response._transferSize;
+    if (entry.response.bodySize >= 0) return entry.response.bodySize + Math.max(entry.response.headersSize || 0, 0);
+    return entry.response.content.size || 0;
+  }
+
+  getTimingPhases(entry) {
+    const timings = entry.timings || {};
+    const phases = {};
+
+    // -1 means "does not apply" (e.g. reused connection)
+    TIMING_PHASES.forEach((phase) => {
+      phases[phase] = timings[phase] > 0 ? timings[phase] : 0;
+    });
+
+    return phases;
+  }
+
+  getDominantPhase(phases) {
+    // Report connect without its ssl share so the two never double count
+    const spans = { ...phases, connect: phases.connect - phases.ssl };
+    const [phase, duration] = Object.entries(spans).reduce((max, span) => (span[1] > max[1] ? span : max));
+    return duration > 0 ? phase : null;
+  }
+
+  getOrigin(url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return "(invalid url)";
+    }
+  }
+
+  getRegistrableDomain(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return "(invalid url)";
+    }
+
+    // IP addresses and single-label hosts (localhost) are their own domain
+    if (/^[\d.]+$/.test(hostname) || hostname.includes(":") || !hostname.includes(".")) {
+      return hostname;
+    }
+
+    // The Public Suffix List's private section keeps a.vercel.app and b.vercel.app (or two
+    // CloudFront distributions) apart; a host that is itself a suffix has no registrable domain
+    return publicSuffixList().get(hostname) || hostname;
+  }
+
+  getFirstPartyDomains(entries) {
+    if (this.firstPartyDomains.length > 0) {
+      return this.firstPartyDomains.map((domain) => domain.toLowerCase());
+    }
+
+    // Default to the domain that served the page's document
+    const documentEntry = entries.find((entry) => this.getResourceType(entry) === "html") || entries[0];
+    return [this.getRegistrableDomain(documentEntry.request.url)];
+  }
+
+  isFirstParty(url, firstPartyDomains) {
+    const domain = this.getRegistrableDomain(url);
+    let hostname = domain;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      // fall back to the registrable domain
+    }
+
+    // Configured entries may name a registrable domain or one specific host
+    return firstPartyDomains.includes(domain) || firstPartyDomains.includes(hostname);
+  }
+
+  addToTimingBreakdown(breakdown, key, data) {
+    if (!breakdown[key]) {
+      breakdown[key] = { count: 0 };
+      TIMING_PHASES.forEach((phase) => {
+        breakdown[key][phase] = 0;
+      });
+    }
+
+    breakdown[key].count += data.count;
+    TIMING_PHASES.forEach((phase) => {
+      breakdown[key][phase] += data[phase];
+    });
+  }
+
+  diagnoseRequest(entry, resourceType, phases, report) {
+    const url = entry.request.url;
+    const size = entry.response.content.size || 0;
+    const total = entry.time || 1;
+
+    if (resourceType === "html" && phases.wait > 200) {
+      report.diagnoses.push({
+        kind: "high-ttfb",
+        title: "High TTFB on HTML",
+        target: url,
+        phase: "wait",
+        detail: `Server took ${Math.round(phases.wait)}ms before the first byte`,
+      });
+    }
+
+    if (resourceType === "image" && size > 100 * 1024 && phases.receive / total > 0.5) {
+      report.diagnoses.push({
+        kind: "download-bound",
+        title: "Download-bound large image",
+        target: url,
+        phase: "receive",
+        detail: `${Math.round(phases.receive)}ms of ${Math.round(total)}ms spent downloading ${this.formatBytes(size)}`,
+      });
+    }
+
+    if (phases.blocked > 100 && phases.blocked / total > 0.5) {
+      report.diagnoses.push({
+        kind: "queued",
+        title: "Request stalled in browser queue",
+        target: url,
+        phase: "blocked",
+        detail: `Queued for ${Math.round(phases.blocked)}ms before being sent`,
+      });
+    }
+  }
+
+  diagnoseOrigins(entries, report) {
+    const origins = {};
+
+    entries.forEach((entry) => {
+      const origin = this.getOrigin(entry.request.url);
+      const phases = this.getTimingPhases(entry);
+      if (!origins[origin]) origins[origin] = { setup: 0, total: 0 };
+      origins[origin].setup += phases.dns + phases.connect;
+      origins[origin].total += entry.time;
+    });
+
+    Object.entries(origins).forEach(([origin, { setup, total }]) => {
+      if (!this.isFirstParty(origin, report.thirdParty.firstPartyDomains) && setup > 50 && setup / total > 0.4) {
+        report.diagnoses.push({
+          kind: "connection-setup",
+          title: "Connection setup dominates third-party origin",
+          target: origin,
+          phase: "connect",
+          detail: `${Math.round(setup)}ms of ${Math.round(total)}ms spent on DNS, TCP and TLS`,
+        });
+      }
+    });
+  }
+
+  getResourceType(entry) {
+    const contentType = entry.response.content.mimeType || "";
+
+    // Categorize resource types
+    if (contentType.includes("text/html")) return "html";
+    if (contentType.includes("text/css")) return "css";
+    if (contentType.includes("javascript")) return "js";
+    if (contentType.includes("image/")) return "image";
+    if (contentType.includes("font/")) return "font";
+    return "other";
+  }
+
+  addToBreakdown(resourceBreakdown, resourceType, data) {
+    if (!resourceBreakdown[resourceType]) {
+      resourceBreakdown[resourceType] = {
         count: 0,
         totalSize: 0,
         totalTime: 0,
@@ -122,54 +521,515 @@ class HARAnalyzer {
       };
     }
 
-    this.analysisReport.resourceBreakdown[resourceType].count++;
-    this.analysisReport.resourceBreakdown[resourceType].totalSize += size;
-    this.analysisReport.resourceBreakdown[resourceType].totalTime += time;
-    this.analysisReport.resourceBreakdown[resourceType].avgTime =
-      this.analysisReport.resourceBreakdown[resourceType].totalTime /
-      this.analysisReport.resourceBreakdown[resourceType].count;
+    resourceBreakdown[resourceType].count += data.count;
+    resourceBreakdown[resourceType].totalSize += data.totalSize;
+    resourceBreakdown[resourceType].totalTime += data.totalTime;
+    resourceBreakdown[resourceType].avgTime =
+      resourceBreakdown[resourceType].totalTime / resourceBreakdown[resourceType].count;
   }
 
-  identifyCriticalPath(entries) {
-    // Find HTML document
-    const htmlEntry = entries.find(
-      (entry) => entry.response.content.mimeType && entry.response.content.mimeType.includes("text/html")
-    );
+  analyzeThirdParties(nodes, pageStartOffset, report) {
+    this.log("🧩 Measuring third-party impact...");
+
+    const firstPartyDomains = report.thirdParty.firstPartyDomains;
+    const criticalUrls = new Set(report.criticalPath ? report.criticalPath.chain.map((link) => link.url) : []);
+    // Without a paint timing in the HAR, DOMContentLoaded is the closest upper bound
+    const paintTiming = report.firstPaint !== null ? report.firstPaint : report.onContentLoad;
+    const paintAt = paintTiming !== null ? pageStartOffset + paintTiming : null;
+    const domains = {};
+
+    nodes.forEach((node) => {
+      if (this.isFirstParty(node.url, firstPartyDomains)) return;
+
+      const domain = this.getRegistrableDomain(node.url);
+      const phases = this.getTimingPhases(node.entry);
+      if (!domains[domain]) {
+        domains[domain] = {
+          domain,
+          origins: [],
+          requests: 0,
+          transferSize: 0,
+          blockingTime: 0,
+          connectionSetup: 0,
+          onCriticalPath: false,
+          beforeFirstPaint: 0,
+        };
+      }
+
+      const stats = domains[domain];
+      const origin = this.getOrigin(node.url);
+      if (!stats.origins.includes(origin)) stats.origins.push(origin);
+      stats.requests++;
+      stats.transferSize += this.getTransferSize(node.entry);
+      stats.connectionSetup += phases.dns + phases.connect;
+      if (this.isRenderBlocking(node)) stats.blockingTime += node.entry.time;
+      if (criticalUrls.has(node.url)) stats.onCriticalPath = true;
+      if (paintAt !== null && node.start < paintAt) stats.beforeFirstPaint++;
+    });
 
-    if (htmlEntry) {
-      this.analysisReport.criticalPathItems.push({
-        type: "HTML Document",
-        url: htmlEntry.request.url.substring(0, 80) + "...",
-        time: htmlEntry.time,
-        size: this.formatBytes(htmlEntry.response.content.size || 0),
+    report.thirdParty.paintReference = report.firstPaint !== null ? "first paint" : "DOMContentLoaded";
+    report.thirdParty.domains = Object.values(domains)
+      .map((stats) => ({
+        ...stats,
+        blockingTime: Math.round(stats.blockingTime),
+        connectionSetup: Math.round(stats.connectionSetup),
+        flagged: stats.onCriticalPath || stats.beforeFirstPaint > 0,
+      }))
+      .sort((a, b) => b.blockingTime - a.blockingTime || b.transferSize - a.transferSize);
+  }
+
+  getFrameworkCategory(entry) {
+    let parsed;
+    try {
+      parsed = new URL(entry.request.url);
+    } catch (error) {
+      return null;
+    }
+
+    const contentType = entry.response.content.mimeType || "";
+    if (
+      parsed.searchParams.has("_rsc") ||
+      contentType.includes("text/x-component") ||
+      this.getHeader(entry.request.headers, "rsc") === "1"
+    ) {
+      return "rsc";
+    }
+    if (parsed.pathname.startsWith("/_next/image")) return "next-image";
+    if (parsed.pathname.startsWith("/_next/data/")) return "next-data";
+    if (parsed.pathname.startsWith("/_next/static/chunks/")) return "next-chunk";
+    if (parsed.pathname.startsWith("/_next/static/")) return "next-static";
+    return null;
+  }
+
+  getCacheStatus(headers) {
+    for (const name of CACHE_STATUS_HEADERS) {
+      const value = this.getHeader(headers, name);
+      if (value === null) continue;
+
+      // e.g. "HIT", "MISS", "STALE", "Miss from cloudfront", "EXPIRED", "BYPASS"
+      const upper = value.toUpperCase();
+      if (upper.includes("STALE") || upper.includes("REVALIDATED")) return { header: name, value, status: "stale" };
+      if (upper.includes("HIT")) return { header: name, value, status: "hit" };
+      return { header: name, value, status: "miss" };
+    }
+    return null;
+  }
+
+  analyzeNextjs(nodes, report) {
+    this.log("⚛️  Classifying Next.js requests...");
+
+    const nextjs = report.nextjs;
+    const rscNodes = [];
+
+    nodes.forEach((node) => {
+      const category = this.getFrameworkCategory(node.entry);
+      if (!category) return;
+
+      this.addToBreakdown(nextjs.categories, category, {
+        count: 1,
+        totalSize: node.entry.response.content.size || 0,
+        totalTime: node.entry.time,
       });
+
+      if (category === "rsc") rscNodes.push(node);
+
+      if (category === "next-image") {
+        const cacheStatus = this.getCacheStatus(node.entry.response.headers);
+        if (!cacheStatus) return;
+
+        nextjs.imageCache.checked++;
+        if (cacheStatus.status === "hit") nextjs.imageCache.hits++;
+        if (cacheStatus.status === "stale") nextjs.imageCache.stale++;
+        if (cacheStatus.status === "miss") {
+          const phases = this.getTimingPhases(node.entry);
+          nextjs.imageCache.misses.push({
+            url: node.url,
+            header: `${cacheStatus.header}: ${cacheStatus.value}`,
+            time: Math.round(node.entry.time),
+            wait: Math.round(phases.wait || 0),
+            size: this.formatBytes(node.entry.response.content.size || 0),
+          });
+        }
+      }
+    });
+    this.formatBreakdown(nextjs.categories);
+
+    // RSC fetches that only start once the previous one has finished form a client-side waterfall;
+    // nodes are sorted by start, so each one can only extend a chain that ended before it
+    const chains = [];
+    rscNodes.forEach((node) => {
+      const chain = chains.find((candidate) => {
+        const last = candidate[candidate.length - 1];
+        return last.end <= node.start && node.start - last.end <= this.thresholds.rscChainGap;
+      });
+      if (chain) chain.push(node);
+      else chains.push([node]);
+    });
+
+    chains
+      .filter((chain) => chain.length > 1)
+      .forEach((chain) => {
+        const totalDuration = chain[chain.length - 1].end - chain[0].start;
+        const longest = chain.reduce((max, node) => Math.max(max, node.entry.time), 0);
+        nextjs.rscChains.push({
+          length: chain.length,
+          totalDuration: Math.round(totalDuration),
+          // What the chain would cost if every fetch ran in parallel
+          potentialSavings: Math.round(totalDuration - longest),
+          requests: chain.map((node) => ({
+            url: node.url,
+            start: Math.round(node.start),
+            end: Math.round(node.end),
+            time: Math.round(node.entry.time),
+          })),
+        });
+      });
+  }
+
+  getHeader(headers, name) {
+    const header = (headers || []).find((h) => h.name.toLowerCase() === name);
+    return header ? header.value : null;
+  }
+
+  isCompressible(entry) {
+    const contentType = entry.response.content.mimeType || "";
+    return /^text\/|javascript|json|xml|svg|x-component|font\/(ttf|otf)|application\/x-font-ttf/.test(contentType);
+  }
+
+  isStaticAsset(entry, resourceType) {
+    const pathname = entry.request.url.split(/[?#]/)[0];
+    return (
+      pathname.includes("/_next/static/") ||
+      ["css", "js", "image", "font"].includes(resourceType) ||
+      /\.(css|js|mjs|png|jpe?g|gif|webp|avif|svg|ico|woff2?|ttf|otf|eot)$/i.test(pathname)
+    );
+  }
+
+  getCacheLifetime(headers) {
+    const cacheControl = (this.getHeader(headers, "cache-control") || "").toLowerCase();
+    if (/no-store|no-cache/.test(cacheControl)) return 0;
+
+    const maxAge = cacheControl.match(/(?:^|[,\s])max-age=(\d+)/);
+    if (maxAge) return parseInt(maxAge[1], 10);
+
+    const expires = this.getHeader(headers, "expires");
+    const date = this.getHeader(headers, "date");
+    if (expires) {
+      const lifetime = (new Date(expires).getTime() - (date ? new Date(date).getTime() : Date.now())) / 1000;
+      return Number.isFinite(lifetime) ? Math.max(Math.round(lifetime), 0) : 0;
     }
 
-    // Find critical CSS and JS
-    const criticalResources = entries
-      .filter((entry) => {
-        const url = entry.request.url;
-        const contentType = entry.response.content.mimeType || "";
-        return (
-          (contentType.includes("text/css") || contentType.includes("javascript")) &&
-          !url.includes("analytics") &&
-          !url.includes("tracking")
+    return null;
+  }
+
+  // Text responses nginx would compress (gzip_min_length is 1024) that went out without it
+  isUncompressed(entry) {
+    const encoding = (this.getHeader(entry.response.headers, "content-encoding") || "identity").toLowerCase();
+    return this.isCompressible(entry) && (entry.response.content.size || 0) > 1024 && encoding === "identity";
+  }
+
+  estimateCompressedSize(entry) {
+    const content = entry.response.content;
+
+    // Measured from the body when the entry was loaded
+    if (content._compressedSize !== undefined) return content._compressedSize;
+
+    // Measure with the same brotli level the generated nginx config uses when the body is in the HAR
+    if (content.text) {
+      const body = Buffer.from(content.text, content.encoding === "base64" ? "base64" : "utf8");
+      return zlib.brotliCompressSync(body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 6 } }).length;
+    }
+
+    // Typical brotli ratio for minified HTML/CSS/JS
+    return Math.round((content.size || 0) * 0.3);
+  }
+
+  auditResponseHeaders(entries, report) {
+    this.log("🗜️  Auditing compression and caching headers...");
+
+    const audit = report.headerAudit;
+    const addIssue = (kind, title, entry, detail, savings, savingsKind) => {
+      const headers = entry.response.headers;
+      audit.issues.push({
+        kind,
+        title,
+        url: entry.request.url,
+        type: this.getResourceType(entry),
+        detail,
+        estimatedSavings: savings,
+        headers: {
+          "content-encoding": this.getHeader(headers, "content-encoding"),
+          "cache-control": this.getHeader(headers, "cache-control"),
+          expires: this.getHeader(headers, "expires"),
+          etag: this.getHeader(headers, "etag"),
+          vary: this.getHeader(headers, "vary"),
+          age: this.getHeader(headers, "age"),
+        },
+      });
+      audit.estimatedSavings[savingsKind] += savings;
+    };
+
+    // A JPEG/PNG URL answered with WebP/AVIF (nginx try_files) or the Next.js optimizer means Accept negotiation
+    const isNegotiated = (entry) =>
+      entry.request.url.includes("/_next/image") ||
+      (/\.(jpe?g|png)(\?|$)/i.test(entry.request.url) && /image\/(webp|avif)/.test(entry.response.content.mimeType || ""));
+    const negotiationInUse = entries.some(isNegotiated);
+
+    entries.forEach((entry) => {
+      const resourceType = this.getResourceType(entry);
+      const headers = entry.response.headers;
+      const size = entry.response.content.size || 0;
+      const transferSize = this.getTransferSize(entry);
+
+      if (entry.response.status !== 200 || (!this.isCompressible(entry) && !this.isStaticAsset(entry, resourceType))) {
+        return;
+      }
+      audit.checked++;
+
+      // Compression
+      if (this.isUncompressed(entry)) {
+        const savings = Math.max(transferSize - this.estimateCompressedSize(entry), 0);
+        addIssue(
+          "uncompressed",
+          "Text asset served uncompressed",
+          entry,
+          `${this.formatBytes(size)} sent without gzip/brotli`,
+          savings,
+          "compression"
         );
-      })
-      .sort((a, b) => a.time - b.time);
+      }
 
-    criticalResources.slice(0, 5).forEach((entry) => {
-      this.analysisReport.criticalPathItems.push({
-        type: entry.response.content.mimeType.includes("css") ? "Critical CSS" : "Critical JS",
-        url: entry.request.url.substring(0, 80) + "...",
-        time: entry.time,
-        size: this.formatBytes(entry.response.content.size || 0),
+      // Caching
+      const lifetime = this.getCacheLifetime(headers);
+      const cacheControl = (this.getHeader(headers, "cache-control") || "").toLowerCase();
+      if (entry.request.url.includes("/_next/static/")) {
+        if (lifetime === null || lifetime < ONE_YEAR_SECONDS || !cacheControl.includes("immutable")) {
+          addIssue(
+            "short-cache-hashed",
+            "Hashed /_next/static asset without long-lived immutable caching",
+            entry,
+            `cache-control: ${cacheControl || "(none)"}; expected public, max-age=${ONE_YEAR_SECONDS}, immutable`,
+            transferSize,
+            "caching"
+          );
+        }
+      } else if (this.isStaticAsset(entry, resourceType) && lifetime === null && !this.getHeader(headers, "etag")) {
+        addIssue(
+          "no-cache-lifetime",
+          "Static asset without cache lifetime or validator",
+          entry,
+          "No cache-control max-age, expires or etag; every visit re-downloads it",
+          transferSize,
+          "caching"
+        );
+      }
+
+      // Content negotiation
+      if (negotiationInUse && resourceType === "image" && /jpe?g|png|webp|avif/.test(entry.response.content.mimeType)) {
+        const vary = (this.getHeader(headers, "vary") || "").toLowerCase();
+        if (!vary.split(/\s*,\s*/).includes("accept")) {
+          // Only JPEG/PNG responses have bytes to win; WebP/AVIF ones risk being served to browsers that cannot decode them
+          const savings = /jpe?g|png/.test(entry.response.content.mimeType) ? Math.round(transferSize * 0.3) : 0;
+          addIssue(
+            "missing-vary-accept",
+            "Image missing Vary: Accept while WebP negotiation is in use",
+            entry,
+            `vary: ${vary || "(none)"}; shared caches may serve the wrong format`,
+            savings,
+            "negotiation"
+          );
+        }
+      }
+    });
+  }
+
+  identifyCriticalPath(nodes, report) {
+    this.log("🎯 Reconstructing critical path...");
+
+    const documentNode = nodes.find((node) => node.type === "html");
+    const blockingNodes = nodes.filter((node) => node === documentNode || this.isRenderBlocking(node));
+
+    if (blockingNodes.length === 0) {
+      return;
+    }
+
+    // The chain that ends last is the one that holds up first render
+    const lastBlocking = blockingNodes.reduce((last, node) => (node.end > last.end ? node : last), blockingNodes[0]);
+    const chain = [];
+    for (let node = lastBlocking; node; node = node.parent) {
+      chain.unshift(node);
+    }
+
+    const links = chain.map((node, index) => {
+      const previousEnd = index > 0 ? chain[index - 1].end : node.start;
+      return {
+        url: node.url,
+        type: node.type,
+        initiator: node.initiatorType,
+        linkedBy: node.linkedBy,
+        start: Math.round(node.start),
+        end: Math.round(node.end),
+        time: Math.round(node.entry.time),
+        size: this.formatBytes(node.entry.response.content.size || 0),
+        // Time this link adds on top of the link before it
+        cost: Math.round(node.end - previousEnd),
+      };
+    });
+    const mostExpensiveLink = links.reduce((worst, link) => (link.cost > worst.cost ? link : worst), links[0]);
+
+    report.criticalPath = {
+      chain: links,
+      totalDuration: Math.round(chain[chain.length - 1].end - chain[0].start),
+      mostExpensiveLink,
+      edges: {
+        initiator: nodes.filter((node) => node.linkedBy === "initiator").length,
+        inferred: nodes.filter((node) => node.linkedBy === "timing").length,
+      },
+    };
+
+    const labels = { html: "HTML Document", css: "Critical CSS", js: "Critical JS", font: "Critical Font" };
+    links.forEach((link) => {
+      report.criticalPathItems.push({
+        type: labels[link.type] || "Critical Resource",
+        url: link.url.substring(0, 80) + "...",
+        time: link.time,
+        size: link.size,
+        cost: link.cost,
       });
     });
   }
 
-  findPerformanceGaps(entries, startTime) {
-    console.log("🔍 Identifying performance gaps...");
+  buildDependencyGraph(entries, startTime) {
+    const nodes = entries
+      .map((entry, index) => {
+        const start = new Date(entry.startedDateTime).getTime() - startTime;
+        return {
+          index,
+          entry,
+          url: entry.request.url.split("#")[0],
+          type: this.getResourceType(entry),
+          initiatorType: (entry._initiator && entry._initiator.type) || null,
+          start,
+          end: start + entry.time,
+          responseStart: start + this.getTimeToFirstByte(entry),
+          parent: null,
+          linkedBy: null,
+        };
+      })
+      .sort((a, b) => a.start - b.start || a.index - b.index);
+
+    // Stylesheets requested after the document finished loading were injected later and do
+    // not hold up first render
+    const documentNode = nodes.find((node) => node.type === "html");
+    nodes.forEach((node) => {
+      node.beforeDocumentLoaded = !documentNode || node.start <= documentNode.end;
+    });
+
+    // Only nodes earlier in this order may become parents, which keeps the graph acyclic. Both
+    // lookups are indexed so that large captures stay linear-ish: the latest earlier node per
+    // URL, and discoverers ordered by when they start responding.
+    const latestByUrl = new Map();
+    const pending = []; // discoverers by responseStart; those before `released` have responded
+    let released = 0;
+    let discoverer = null; // latest-responding discoverer so far; earliest in order on a tie
+
+    nodes.forEach((node, order) => {
+      node.order = order;
+
+      // Start times only grow, so a discoverer that has responded stays eligible from now on
+      while (released < pending.length && pending[released].responseStart <= node.start) {
+        const candidate = pending[released++];
+        if (
+          !discoverer ||
+          candidate.responseStart > discoverer.responseStart ||
+          (candidate.responseStart === discoverer.responseStart && candidate.order < discoverer.order)
+        ) {
+          discoverer = candidate;
+        }
+      }
+
+      const parent = this.getInitiatorUrls(node.entry._initiator)
+        .map((url) => latestByUrl.get(url))
+        .find(Boolean);
+      if (parent) {
+        node.parent = parent;
+        node.linkedBy = "initiator";
+      } else if (discoverer) {
+        // No usable initiator: a resource can only be discovered once a document, stylesheet or
+        // script has started responding, so attach it to the latest one that had by then
+        node.parent = discoverer;
+        node.linkedBy = "timing";
+      }
+
+      latestByUrl.set(node.url, node);
+      if (["html", "css", "js"].includes(node.type)) {
+        pending.splice(this.sortedIndex(pending, node.responseStart), 0, node);
+      }
+    });
+
+    return nodes;
+  }
+
+  // First index whose responseStart is greater than value, so equal values keep insertion order;
+  // never before anything already released, since those responded no later than value
+  sortedIndex(sorted, value) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (sorted[middle].responseStart <= value) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  getInitiatorUrls(initiator) {
+    if (!initiator) return [];
+
+    if (initiator.type === "script") {
+      // Walk the async stack chain; the innermost frame that maps to a request wins
+      const urls = [];
+      for (let stack = initiator.stack; stack; stack = stack.parent) {
+        (stack.callFrames || []).forEach((frame) => {
+          if (frame.url) urls.push(frame.url.split("#")[0]);
+        });
+      }
+      return urls;
+    }
+
+    // parser, preload and other initiators carry the referencing document or stylesheet directly
+    return initiator.url ? [initiator.url.split("#")[0]] : [];
+  }
+
+  getTimeToFirstByte(entry) {
+    const timings = entry.timings;
+    if (!timings) return entry.time;
+
+    // ssl is already included in connect per the HAR spec
+    return ["blocked", "dns", "connect", "send", "wait"].reduce(
+      (sum, phase) => sum + (timings[phase] > 0 ? timings[phase] : 0),
+      0
+    );
+  }
+
+  isRenderBlocking(node) {
+    if (node.type === "css") return node.beforeDocumentLoaded;
+
+    // Parser-inserted scripts block unless Chrome demoted them to async/defer (Low priority)
+    if (node.type === "js" && node.initiatorType === "parser") {
+      return node.entry._priority !== "Low" && node.entry._priority !== "VeryLow";
+    }
+
+    // Fonts requested by render-blocking CSS or preloads hold up text paint
+    if (node.type === "font") {
+      return node.parent !== null && (node.parent.type === "css" || node.initiatorType === "preload");
+    }
+
+    return false;
+  }
+
+  findPerformanceGaps(entries, startTime, report) {
+    this.log("🔍 Identifying performance gaps...");
 
     const timeline = entries
       .map((entry) => ({
@@ -183,49 +1043,119 @@ class HARAnalyzer {
     // Find gaps in timeline
     for (let i = 1; i < timeline.length; i++) {
       const gap = timeline[i].start - timeline[i - 1].end;
-      if (gap > 50) {
-        // Gaps larger than 50ms
-        this.analysisReport.performanceGaps.push({
+      if (gap > this.thresholds.gap) {
+        report.performanceGaps.push({
           gapStart: timeline[i - 1].end,
           gapEnd: timeline[i].start,
           gapDuration: gap,
           beforeResource: timeline[i - 1].url.substring(0, 50) + "...",
           afterResource: timeline[i].url.substring(0, 50) + "...",
-          suggestion: gap > 200 ? "Critical gap - investigate waterfall" : "Minor optimization opportunity",
+          suggestion: gap > this.thresholds.criticalGap ? "Critical gap - investigate waterfall" : "Minor optimization opportunity",
         });
       }
     }
 
-    // Check if total load time exceeds target
-    if (this.analysisReport.totalLoadTime > this.targetLoadTime) {
-      const excess = this.analysisReport.totalLoadTime - this.targetLoadTime;
-      this.analysisReport.performanceGaps.push({
+    // Check if page load time exceeds target
+    if (report.loadTime > this.targetLoadTime) {
+      const excess = report.loadTime - this.targetLoadTime;
+      report.performanceGaps.push({
         type: "Target Exceeded",
         excess: excess,
-        suggestion: `Total load time exceeds ${this.targetLoadTime}ms target by ${excess}ms`,
+        suggestion: `Load time exceeds ${this.targetLoadTime}ms target by ${Math.round(excess)}ms`,
       });
     }
   }
 
-  analyzeResourceBreakdown(entries) {
-    console.log("📈 Analyzing resource breakdown...");
+  analyzeResourceBreakdown(report) {
+    this.log("📈 Analyzing resource breakdown...");
 
-    Object.keys(this.analysisReport.resourceBreakdown).forEach((type) => {
-      const breakdown = this.analysisReport.resourceBreakdown[type];
+    this.formatBreakdown(report.resourceBreakdown);
+  }
+
+  formatBreakdown(breakdowns) {
+    Object.values(breakdowns).forEach((breakdown) => {
       breakdown.avgTime = Math.round(breakdown.avgTime);
       breakdown.totalSizeFormatted = this.formatBytes(breakdown.totalSize);
     });
   }
 
-  identifyBottlenecks() {
-    console.log("🚫 Identifying performance bottlenecks...");
+  identifyBottlenecks(report) {
+    this.log("🚫 Identifying performance bottlenecks...");
 
     // Sort bottlenecks by severity
-    this.analysisReport.bottlenecks.sort((a, b) => b.time - a.time);
+    report.bottlenecks.sort((a, b) => b.time - a.time);
+  }
+
+  summarizePages() {
+    const pages = this.analysisReport.pages;
+    const tagged = (items, page) => items.map((item) => ({ ...item, page: page.title }));
+
+    // Top-level fields aggregate every page so existing consumers keep working
+    pages.forEach((page) => {
+      this.analysisReport.criticalPathItems.push(...tagged(page.criticalPathItems, page));
+      this.analysisReport.performanceGaps.push(...tagged(page.performanceGaps, page));
+      this.analysisReport.bottlenecks.push(...tagged(page.bottlenecks, page));
+      this.analysisReport.diagnoses.push(...tagged(page.diagnoses, page));
+      page.thirdParty.domains.forEach((stats) => {
+        const existing = this.analysisReport.thirdParty.domains.find((d) => d.domain === stats.domain);
+        if (!existing) {
+          this.analysisReport.thirdParty.domains.push({ ...stats, origins: [...stats.origins], pages: [page.title] });
+          return;
+        }
+        ["requests", "transferSize", "blockingTime", "connectionSetup", "beforeFirstPaint"].forEach((field) => {
+          existing[field] += stats[field];
+        });
+        stats.origins.forEach((origin) => !existing.origins.includes(origin) && existing.origins.push(origin));
+        existing.onCriticalPath = existing.onCriticalPath || stats.onCriticalPath;
+        existing.flagged = existing.flagged || stats.flagged;
+        existing.pages.push(page.title);
+      });
+      Object.entries(page.nextjs.categories).forEach(([category, data]) => {
+        this.addToBreakdown(this.analysisReport.nextjs.categories, category, data);
+      });
+      this.analysisReport.nextjs.rscChains.push(...tagged(page.nextjs.rscChains, page));
+      ["checked", "hits", "stale"].forEach((field) => {
+        this.analysisReport.nextjs.imageCache[field] += page.nextjs.imageCache[field];
+      });
+      this.analysisReport.nextjs.imageCache.misses.push(...tagged(page.nextjs.imageCache.misses, page));
+      this.analysisReport.headerAudit.checked += page.headerAudit.checked;
+      this.analysisReport.headerAudit.issues.push(...tagged(page.headerAudit.issues, page));
+      Object.entries(page.headerAudit.estimatedSavings).forEach(([kind, bytes]) => {
+        this.analysisReport.headerAudit.estimatedSavings[kind] += bytes;
+      });
+      Object.entries(page.resourceBreakdown).forEach(([type, data]) => {
+        this.addToBreakdown(this.analysisReport.resourceBreakdown, type, data);
+      });
+      ["byType", "byOrigin"].forEach((dimension) => {
+        Object.entries(page.timingBreakdown[dimension]).forEach(([key, data]) => {
+          this.addToTimingBreakdown(this.analysisReport.timingBreakdown[dimension], key, data);
+        });
+      });
+    });
+    this.analyzeResourceBreakdown(this.analysisReport);
+    this.formatBreakdown(this.analysisReport.nextjs.categories);
+    this.identifyBottlenecks(this.analysisReport);
+
+    const average = (values) =>
+      values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    const slowestPage = pages.reduce((slowest, page) => (page.loadTime > slowest.loadTime ? page : slowest), pages[0]);
+
+    // A HAR with no entries still gets a (empty) summary
+    this.analysisReport.totalLoadTime = slowestPage ? slowestPage.loadTime : 0;
+    this.analysisReport.pageSummary = {
+      pageCount: pages.length,
+      totalRequests: pages.reduce((sum, page) => sum + page.requestCount, 0),
+      totalSize: Object.values(this.analysisReport.resourceBreakdown).reduce((sum, data) => sum + data.totalSize, 0),
+      avgOnContentLoad: average(pages.map((page) => page.onContentLoad).filter((value) => value !== null)),
+      avgOnLoad: average(pages.map((page) => page.onLoad).filter((value) => value !== null)),
+      avgLoadTime: average(pages.map((page) => page.loadTime)),
+      slowestPage: slowestPage ? { id: slowestPage.id, title: slowestPage.title, loadTime: slowestPage.loadTime } : null,
+      pagesOverTarget: pages.filter((page) => page.loadTime > this.targetLoadTime).length,
+    };
   }
 
   generateOptimizationPlan() {
-    console.log("💡 Generating optimization recommendations...");
+    this.log("💡 Generating optimization recommendations...");
 
     const optimizations = [];
 
@@ -253,14 +1183,128 @@ class HARAnalyzer {
       });
     }
 
-    // Slow requests
-    const slowRequests = this.analysisReport.bottlenecks.filter((b) => b.issue === "Slow request");
+    // Third parties holding up render
+    const flaggedThirdParties = this.analysisReport.thirdParty.domains.filter((stats) => stats.flagged);
+    if (flaggedThirdParties.length > 0) {
+      optimizations.push({
+        priority: flaggedThirdParties.some((stats) => stats.onCriticalPath) ? "HIGH" : "MEDIUM",
+        category: "Third Parties",
+        suggestion: `Defer third parties that hold up first render: ${flaggedThirdParties
+          .slice(0, 3)
+          .map((stats) => stats.domain)
+          .join(", ")}`,
+        impact: `${flaggedThirdParties.reduce((sum, stats) => sum + stats.blockingTime, 0)}ms of render-blocking third-party time`,
+        action: 'Load them with next/script strategy="lazyOnload" (or after interaction) and preconnect to the rest',
+      });
+    }
+
+    // Header audit
+    const { issues: headerIssues, estimatedSavings } = this.analysisReport.headerAudit;
+    const countIssues = (kind) => headerIssues.filter((issue) => issue.kind === kind).length;
+    if (countIssues("uncompressed") > 0) {
+      optimizations.push({
+        priority: "HIGH",
+        category: "Compression",
+        suggestion: `Serve ${countIssues("uncompressed")} text asset(s) with brotli or gzip`,
+        impact: `Saves ~${this.formatBytes(estimatedSavings.compression)} per page load`,
+        action: "Check that gzip/brotli is enabled for these MIME types in nginx and that the proxy does not strip it",
+      });
+    }
+    if (countIssues("short-cache-hashed") + countIssues("no-cache-lifetime") > 0) {
+      optimizations.push({
+        priority: "MEDIUM",
+        category: "Caching",
+        suggestion: `Add long-lived caching to ${countIssues("short-cache-hashed") + countIssues("no-cache-lifetime")} static asset(s)`,
+        impact: `Saves ~${this.formatBytes(estimatedSavings.caching)} on every repeat visit`,
+        action: `Send "Cache-Control: public, max-age=${ONE_YEAR_SECONDS}, immutable" for /_next/static and hashed assets`,
+      });
+    }
+    if (countIssues("missing-vary-accept") > 0) {
+      optimizations.push({
+        priority: "MEDIUM",
+        category: "Image Negotiation",
+        suggestion: `Add "Vary: Accept" to ${countIssues("missing-vary-accept")} negotiated image response(s)`,
+        impact: `Keeps CDNs from caching one format for every browser (~${this.formatBytes(estimatedSavings.negotiation)} in WebP savings)`,
+        action: 'Use add_header Vary "Accept" in the image location blocks instead of "Accept-Encoding"',
+      });
+    }
+
+    // Next.js
+    const { rscChains, imageCache } = this.analysisReport.nextjs;
+    if (rscChains.length > 0) {
+      const longestChain = rscChains.reduce((longest, chain) => (chain.length > longest.length ? chain : longest));
+      optimizations.push({
+        priority: "HIGH",
+        category: "RSC Waterfall",
+        suggestion: `Parallelize ${rscChains.length} sequential RSC fetch chain(s) (longest: ${longestChain.length} requests, ${longestChain.totalDuration}ms)`,
+        impact: `Up to ${rscChains.reduce((sum, chain) => sum + chain.potentialSavings, 0)}ms if the payloads were fetched together`,
+        action: "Fetch data in the shared server component/layout instead of chained client fetches, and prefetch routes with <Link>",
+      });
+    }
+    if (imageCache.misses.length > 0) {
+      optimizations.push({
+        priority: "MEDIUM",
+        category: "Image Optimizer Cache",
+        suggestion: `${imageCache.misses.length} of ${imageCache.checked} /_next/image responses were optimizer cache misses`,
+        impact: `Each miss re-encodes the image on the server (${imageCache.misses.reduce((sum, miss) => sum + miss.wait, 0)}ms waiting in total)`,
+        action: "Warm the optimizer cache after deploys, raise images.minimumCacheTTL, or serve pre-built WebP files directly",
+      });
+    }
+
+    // Timing diagnoses, one recommendation per root cause
+    const diagnosisActions = {
+      "high-ttfb": {
+        priority: "HIGH",
+        category: "Server Response",
+        suggestion: "Reduce server think time for HTML documents",
+        impact: "Every other request waits on the document's first byte",
+        action: "Cache rendered pages, add static generation/ISR or move slow data fetching out of the render path",
+      },
+      "connection-setup": {
+        priority: "MEDIUM",
+        category: "Third-Party Connections",
+        suggestion: "Warm up connections to third-party origins",
+        impact: "Removes DNS, TCP and TLS round trips from the request",
+        action: "Add <link rel=preconnect> for the origins listed, or self-host the assets",
+      },
+      "download-bound": {
+        priority: "HIGH",
+        category: "Images",
+        suggestion: "Shrink large images that spend most of their time downloading",
+        impact: "Download time scales directly with bytes on the wire",
+        action: "Resize to display dimensions and convert to WebP/AVIF",
+      },
+      queued: {
+        priority: "MEDIUM",
+        category: "Request Scheduling",
+        suggestion: "Reduce requests competing for the same connections",
+        impact: "Stalled requests wait for earlier ones before they are even sent",
+        action: "Bundle small assets, lazy-load below-the-fold resources and serve over HTTP/2",
+      },
+    };
+
+    Object.entries(diagnosisActions).forEach(([kind, recommendation]) => {
+      const targets = [...new Set(this.analysisReport.diagnoses.filter((d) => d.kind === kind).map((d) => d.target))];
+      if (targets.length > 0) {
+        optimizations.push({
+          ...recommendation,
+          impact: `${recommendation.impact} (${targets.length} affected: ${targets.slice(0, 3).join(", ")})`,
+        });
+      }
+    });
+
+    // Slow requests the diagnoses above do not already explain
+    const diagnosedTargets = new Set(this.analysisReport.diagnoses.map((d) => d.target));
+    const slowRequests = this.analysisReport.bottlenecks.filter(
+      (b) => b.issue === "Slow request" && !diagnosedTargets.has(b.url) && !diagnosedTargets.has(this.getOrigin(b.url))
+    );
     if (slowRequests.length > 0) {
+      const causes = [...new Set(slowRequests.map((b) => b.cause).filter(Boolean))];
       optimizations.push({
         priority: "MEDIUM",
         category: "Network",
         suggestion: "Optimize slow requests with caching and CDN",
-        impact: "Reduce request times by 40-60%",
+        impact: `Reduce request times by 40-60% (time mostly spent in: ${causes.join(", ") || "unknown"})`,
         action: "Implement proper caching headers and CDN",
       });
     }
@@ -276,6 +1320,23 @@ class HARAnalyzer {
       });
     }
 
+    // Critical path
+    this.analysisReport.pages
+      .filter((page) => page.criticalPath && page.criticalPath.chain.length > 1)
+      .forEach((page) => {
+        const link = page.criticalPath.mostExpensiveLink;
+        optimizations.push({
+          priority: "HIGH",
+          category: "Critical Path",
+          suggestion: `Shorten the ${page.criticalPath.chain.length}-request blocking chain on ${page.title} (${page.criticalPath.totalDuration}ms)`,
+          impact: `Most expensive link adds ${link.cost}ms: ${link.url.substring(0, 60)}`,
+          action:
+            link.type === "html"
+              ? "Reduce server response time for the document"
+              : "Preload or inline this resource so it is discovered with the document",
+        });
+      });
+
     // Target time exceeded
     if (this.analysisReport.totalLoadTime > this.targetLoadTime) {
       optimizations.push({
@@ -291,73 +1352,69 @@ class HARAnalyzer {
   }
 
   generateReport() {
-    console.log("\n📊 HAR ANALYSIS REPORT");
-    console.log("=".repeat(60));
-    console.log(`⏱️  Total Load Time: ${Math.round(this.analysisReport.totalLoadTime)}ms`);
-    console.log(`🎯 Target Load Time: ${this.targetLoadTime}ms`);
-    console.log(
+    const pages = this.analysisReport.pages;
+
+    this.log("\n📊 HAR ANALYSIS REPORT");
+    this.log("=".repeat(60));
+    this.log(
+      `⏱️  ${pages.length > 1 ? "Slowest Page Load" : "Total Load Time"}: ${Math.round(this.analysisReport.totalLoadTime)}ms`
+    );
+    this.log(`🎯 Target Load Time: ${this.targetLoadTime}ms`);
+    this.log(
       `📈 Performance Status: ${this.analysisReport.totalLoadTime <= this.targetLoadTime ? "✅ GOOD" : "❌ NEEDS OPTIMIZATION"}`
     );
 
-    // Resource breakdown
-    console.log("\n📋 RESOURCE BREAKDOWN:");
-    console.log("-".repeat(80));
-    console.log("Type".padEnd(12) + "Count".padEnd(8) + "Total Size".padEnd(15) + "Avg Time".padEnd(12) + "Total Time");
-    console.log("-".repeat(80));
+    // Cross-page summary
+    if (pages.length > 1) {
+      const summary = this.analysisReport.pageSummary;
+      const formatTiming = (value) => (value === null ? "n/a" : `${Math.round(value)}ms`);
 
-    Object.entries(this.analysisReport.resourceBreakdown).forEach(([type, data]) => {
-      console.log(
-        type.padEnd(12) +
-          data.count.toString().padEnd(8) +
-          data.totalSizeFormatted.padEnd(15) +
-          `${data.avgTime}ms`.padEnd(12) +
-          `${Math.round(data.totalTime)}ms`
-      );
-    });
-
-    // Critical path
-    if (this.analysisReport.criticalPathItems.length > 0) {
-      console.log("\n🎯 CRITICAL PATH ANALYSIS:");
-      console.log("-".repeat(80));
-      this.analysisReport.criticalPathItems.forEach((item) => {
-        console.log(`   ${item.type}: ${item.time}ms (${item.size})`);
-        console.log(`   └─ ${item.url}`);
+      this.log("\n🗂️  PAGE SUMMARY:");
+      this.log("-".repeat(80));
+      this.log("Page".padEnd(36) + "Requests".padEnd(10) + "DCL".padEnd(10) + "Load".padEnd(10) + "Status");
+      this.log("-".repeat(80));
+      pages.forEach((page) => {
+        this.log(
+          page.title.substring(0, 34).padEnd(36) +
+            page.requestCount.toString().padEnd(10) +
+            formatTiming(page.onContentLoad).padEnd(10) +
+            formatTiming(page.loadTime).padEnd(10) +
+            (page.loadTime <= this.targetLoadTime ? "✅" : "❌")
+        );
       });
+      this.log("-".repeat(80));
+      this.log(
+        `   ${summary.pageCount} pages, ${summary.totalRequests} requests, ${this.formatBytes(summary.totalSize)} total`
+      );
+      this.log(
+        `   Avg DCL: ${formatTiming(summary.avgOnContentLoad)}, avg load: ${formatTiming(summary.avgLoadTime)}, ` +
+          `${summary.pagesOverTarget} page(s) over target`
+      );
     }
 
-    // Performance gaps
-    if (this.analysisReport.performanceGaps.length > 0) {
-      console.log("\n⚠️  PERFORMANCE GAPS:");
-      console.log("-".repeat(80));
-      this.analysisReport.performanceGaps.slice(0, 5).forEach((gap) => {
-        if (gap.type === "Target Exceeded") {
-          console.log(`   🚨 ${gap.suggestion}`);
-        } else {
-          console.log(`   ⏳ ${Math.round(gap.gapDuration)}ms gap - ${gap.suggestion}`);
-        }
-      });
-    }
+    pages.forEach((page) => {
+      if (pages.length > 1) {
+        this.log(`\n📄 PAGE: ${page.title}`);
+        this.log("=".repeat(60));
+      }
+      this.printPageReport(page);
+    });
 
-    // Bottlenecks
-    if (this.analysisReport.bottlenecks.length > 0) {
-      console.log("\n🚫 TOP BOTTLENECKS:");
-      console.log("-".repeat(80));
-      this.analysisReport.bottlenecks.slice(0, 5).forEach((bottleneck, index) => {
-        console.log(`   ${index + 1}. ${bottleneck.issue}: ${bottleneck.time}ms (${bottleneck.size})`);
-        console.log(`      └─ ${bottleneck.url}`);
-      });
+    // Budgets
+    if (this.analysisReport.budgets.length > 0) {
+      this.budget.printResults(this.analysisReport.budgets, (bytes) => this.formatBytes(bytes));
     }
 
     // Optimizations
     if (this.analysisReport.optimizations.length > 0) {
-      console.log("\n💡 OPTIMIZATION RECOMMENDATIONS:");
-      console.log("-".repeat(80));
+      this.log("\n💡 OPTIMIZATION RECOMMENDATIONS:");
+      this.log("-".repeat(80));
       this.analysisReport.optimizations.forEach((opt, index) => {
-        console.log(`   ${index + 1}. [${opt.priority}] ${opt.category}`);
-        console.log(`      💡 ${opt.suggestion}`);
-        console.log(`      📈 ${opt.impact}`);
-        console.log(`      🔧 ${opt.action}`);
-        console.log("");
+        this.log(`   ${index + 1}. [${opt.priority}] ${opt.category}`);
+        this.log(`      💡 ${opt.suggestion}`);
+        this.log(`      📈 ${opt.impact}`);
+        this.log(`      🔧 ${opt.action}`);
+        this.log("");
       });
     }
 
@@ -372,6 +1429,8 @@ class HARAnalyzer {
             totalLoadTime: this.analysisReport.totalLoadTime,
             targetLoadTime: this.targetLoadTime,
             performanceStatus: this.analysisReport.totalLoadTime <= this.targetLoadTime ? "GOOD" : "NEEDS_OPTIMIZATION",
+            pageCount: pages.length,
+            budgetsExceeded: this.analysisReport.budgets.filter((result) => !result.passed).length,
           },
           ...this.analysisReport,
         },
@@ -380,7 +1439,205 @@ class HARAnalyzer {
       )
     );
 
-    console.log(`📄 Detailed report saved to: ${reportPath}`);
+    this.log(`📄 Detailed report saved to: ${reportPath}`);
+
+    // Keep history; the JSON above is overwritten on every run
+    const summary = this.analysisReport.pageSummary;
+    const criticalPaths = pages.filter((page) => page.criticalPath).map((page) => page.criticalPath.totalDuration);
+    new ResultsStore().record(
+      "har-analyzer",
+      {
+        totalLoadTime: this.analysisReport.totalLoadTime,
+        avgLoadTime: summary.avgLoadTime,
+        avgOnContentLoad: summary.avgOnContentLoad,
+        totalRequests: summary.totalRequests,
+        totalSize: summary.totalSize,
+        criticalPathDuration: criticalPaths.length > 0 ? Math.max(...criticalPaths) : undefined,
+        thirdPartyBlockingTime: this.analysisReport.thirdParty.domains.reduce((sum, stats) => sum + stats.blockingTime, 0),
+        headerIssues: this.analysisReport.headerAudit.issues.length,
+        budgetsExceeded: this.analysisReport.budgets.filter((result) => !result.passed).length,
+      },
+      { label: this.label, source: this.harFilePath }
+    );
+  }
+
+  printPageReport(report) {
+    // Resource breakdown
+    this.log("\n📋 RESOURCE BREAKDOWN:");
+    this.log("-".repeat(80));
+    this.log("Type".padEnd(12) + "Count".padEnd(8) + "Total Size".padEnd(15) + "Avg Time".padEnd(12) + "Total Time");
+    this.log("-".repeat(80));
+
+    Object.entries(report.resourceBreakdown).forEach(([type, data]) => {
+      this.log(
+        type.padEnd(12) +
+          data.count.toString().padEnd(8) +
+          data.totalSizeFormatted.padEnd(15) +
+          `${data.avgTime}ms`.padEnd(12) +
+          `${Math.round(data.totalTime)}ms`
+      );
+    });
+
+    // Timing phases
+    const typeTimings = Object.entries(report.timingBreakdown.byType);
+    if (typeTimings.length > 0) {
+      this.log("\n⏱️  TIMING PHASES BY TYPE (total ms):");
+      this.log("-".repeat(80));
+      this.log("Type".padEnd(12) + TIMING_PHASES.map((phase) => phase.padEnd(9)).join(""));
+      this.log("-".repeat(80));
+      typeTimings.forEach(([type, data]) => {
+        this.log(type.padEnd(12) + TIMING_PHASES.map((phase) => Math.round(data[phase]).toString().padEnd(9)).join(""));
+      });
+
+      this.log("\n🌍 SLOWEST ORIGINS (total ms):");
+      this.log("-".repeat(80));
+      Object.entries(report.timingBreakdown.byOrigin)
+        .map(([origin, data]) => [origin, data, TIMING_PHASES.reduce((sum, phase) => sum + data[phase], 0) - data.ssl])
+        .sort((a, b) => b[2] - a[2])
+        .slice(0, 5)
+        .forEach(([origin, data, total]) => {
+          this.log(
+            `   ${origin.substring(0, 45).padEnd(46)} ${data.count} req, ${Math.round(total)}ms ` +
+              `(setup ${Math.round(data.dns + data.connect)}ms, ttfb ${Math.round(data.wait)}ms, download ${Math.round(data.receive)}ms)`
+          );
+        });
+    }
+
+    // Diagnoses
+    if (report.diagnoses.length > 0) {
+      this.log("\n🩺 TIMING DIAGNOSES:");
+      this.log("-".repeat(80));
+      report.diagnoses.forEach((diagnosis) => {
+        this.log(`   • ${diagnosis.title}: ${diagnosis.detail}`);
+        this.log(`     └─ ${diagnosis.target.substring(0, 100)}`);
+      });
+    }
+
+    // Third parties
+    if (report.thirdParty.domains.length > 0) {
+      this.log("\n🧩 THIRD-PARTY IMPACT:");
+      this.log("-".repeat(80));
+      this.log(
+        "Domain".padEnd(30) + "Reqs".padEnd(6) + "Transfer".padEnd(12) + "Blocking".padEnd(10) + "Setup".padEnd(9) + "Flags"
+      );
+      this.log("-".repeat(80));
+      report.thirdParty.domains.forEach((stats) => {
+        const flags = [
+          stats.onCriticalPath ? "🚨 critical path" : "",
+          stats.beforeFirstPaint > 0 ? `⚠️  ${stats.beforeFirstPaint} before ${report.thirdParty.paintReference}` : "",
+        ].filter(Boolean);
+        this.log(
+          stats.domain.substring(0, 28).padEnd(30) +
+            stats.requests.toString().padEnd(6) +
+            this.formatBytes(stats.transferSize).padEnd(12) +
+            `${stats.blockingTime}ms`.padEnd(10) +
+            `${stats.connectionSetup}ms`.padEnd(9) +
+            flags.join(", ")
+        );
+      });
+    }
+
+    // Header audit
+    if (report.headerAudit.issues.length > 0) {
+      const { checked, issues, estimatedSavings } = report.headerAudit;
+
+      this.log("\n🗜️  COMPRESSION & CACHING AUDIT:");
+      this.log("-".repeat(80));
+      this.log(`   ${issues.length} issue(s) across ${checked} checked responses`);
+      this.log(
+        `   Estimated savings: ${this.formatBytes(estimatedSavings.compression)} compression, ` +
+          `${this.formatBytes(estimatedSavings.caching)} per repeat visit, ` +
+          `${this.formatBytes(estimatedSavings.negotiation)} from format negotiation`
+      );
+      [...issues]
+        .sort((a, b) => b.estimatedSavings - a.estimatedSavings)
+        .slice(0, 8)
+        .forEach((issue) => {
+          this.log(`   • ${issue.title} (saves ~${this.formatBytes(issue.estimatedSavings)})`);
+          this.log(`     ${issue.detail}`);
+          this.log(`     └─ ${issue.url.substring(0, 100)}`);
+        });
+    }
+
+    // Next.js
+    const nextCategories = Object.entries(report.nextjs.categories);
+    if (nextCategories.length > 0) {
+      const { rscChains, imageCache } = report.nextjs;
+
+      this.log("\n⚛️  NEXT.JS REQUESTS:");
+      this.log("-".repeat(80));
+      this.log("Category".padEnd(14) + "Count".padEnd(8) + "Total Size".padEnd(15) + "Avg Time".padEnd(12) + "Total Time");
+      this.log("-".repeat(80));
+      nextCategories.forEach(([category, data]) => {
+        this.log(
+          category.padEnd(14) +
+            data.count.toString().padEnd(8) +
+            data.totalSizeFormatted.padEnd(15) +
+            `${data.avgTime}ms`.padEnd(12) +
+            `${Math.round(data.totalTime)}ms`
+        );
+      });
+
+      rscChains.forEach((chain) => {
+        this.log(
+          `   🔗 RSC waterfall: ${chain.length} sequential fetches, ${chain.totalDuration}ms (~${chain.potentialSavings}ms if parallel)`
+        );
+        chain.requests.forEach((request, index) => {
+          this.log(`      ${index === 0 ? "●" : "└→"} @${request.start}ms ${request.time}ms ${request.url.substring(0, 80)}`);
+        });
+      });
+
+      if (imageCache.checked > 0) {
+        this.log(
+          `   🖼️  Image optimizer cache: ${imageCache.hits} hit, ${imageCache.stale} stale, ${imageCache.misses.length} miss ` +
+            `(of ${imageCache.checked} with a cache header)`
+        );
+        imageCache.misses.slice(0, 5).forEach((miss) => {
+          this.log(`      ❌ ${miss.header}, ${miss.wait}ms server wait (${miss.size})`);
+          this.log(`         └─ ${miss.url.substring(0, 100)}`);
+        });
+      }
+    }
+
+    // Critical path
+    if (report.criticalPath) {
+      const { chain, totalDuration, mostExpensiveLink, edges } = report.criticalPath;
+
+      this.log("\n🎯 CRITICAL PATH ANALYSIS:");
+      this.log("-".repeat(80));
+      this.log(`   Blocking chain: ${chain.length} request(s), ${totalDuration}ms from document start to last render-blocking resource`);
+      chain.forEach((link, index) => {
+        const marker = link === mostExpensiveLink ? " 🔥" : "";
+        this.log(`   ${index === 0 ? "●" : "└→"} [${link.type}] +${link.cost}ms (${link.time}ms, ${link.size})${marker}`);
+        this.log(`      ${link.url.substring(0, 100)}`);
+      });
+      this.log(`   Most expensive link: ${mostExpensiveLink.url.substring(0, 80)} (+${mostExpensiveLink.cost}ms)`);
+      this.log(`   Edges: ${edges.initiator} from initiator data, ${edges.inferred} inferred from timing`);
+    }
+
+    // Performance gaps
+    if (report.performanceGaps.length > 0) {
+      this.log("\n⚠️  PERFORMANCE GAPS:");
+      this.log("-".repeat(80));
+      report.performanceGaps.slice(0, 5).forEach((gap) => {
+        if (gap.type === "Target Exceeded") {
+          this.log(`   🚨 ${gap.suggestion}`);
+        } else {
+          this.log(`   ⏳ ${Math.round(gap.gapDuration)}ms gap - ${gap.suggestion}`);
+        }
+      });
+    }
+
+    // Bottlenecks
+    if (report.bottlenecks.length > 0) {
+      this.log("\n🚫 TOP BOTTLENECKS:");
+      this.log("-".repeat(80));
+      report.bottlenecks.slice(0, 5).forEach((bottleneck, index) => {
+        const cause = bottleneck.cause ? `, mostly ${bottleneck.cause}` : "";
+        this.log(`   ${index + 1}. ${bottleneck.issue}: ${Math.round(bottleneck.time)}ms (${bottleneck.size}${cause})`);
+        this.log(`      └─ ${bottleneck.url.substring(0, 100)}${bottleneck.url.length > 100 ? "..." : ""}`);
+      });
+    }
   }
 
   formatBytes(bytes) {
@@ -391,23 +1648,16 @@ class HARAnalyzer {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
   }
 
-  static async createHARFile(url = "http://localhost:3000") {
+  static async createHARFile(url = "http://localhost:3000", options = {}) {
     console.log("🌐 Creating HAR file from live website...");
 
     try {
-      // Use Chrome to generate HAR file
-      const harOutputPath = path.join(__dirname, "..", "website-performance.har");
-
-      // This would require Chrome DevTools Protocol or Puppeteer
-      console.log(`📝 To generate a HAR file:`);
-      console.log(`   1. Open Chrome DevTools (F12)`);
-      console.log(`   2. Go to Network tab`);
-      console.log(`   3. Reload your page: ${url}`);
-      console.log(`   4. Right-click in Network tab > Save all as HAR`);
-      console.log(`   5. Save as: ${harOutputPath}`);
-      console.log(`   6. Run: node scripts/har-analyzer.js ${harOutputPath}`);
-
-      return harOutputPath;
+      // Loaded on demand so analysis does not require puppeteer
+      const HARCapture = require("./har-capture");
+      const harOutputPath = options.outputPath || path.join(__dirname, "..", "website-performance.har");
+      const [written] = await new HARCapture(options).captureToFile([url], harOutputPath);
+
+      return written;
     } catch (error) {
       console.error("❌ Failed to create HAR file:", error.message);
       return null;
@@ -417,26 +1667,71 @@ class HARAnalyzer {
 
 // Main execution
 async function main() {
-  const harFilePath = process.argv[2];
+  const args = process.argv.slice(2);
+  const harFilePath = args.find((arg) => !arg.startsWith("--"));
+  const firstPartyArg = args.find((arg) => arg.startsWith("--first-party="));
+  const budgetArg = args.find((arg) => arg.startsWith("--budget="));
+  const htmlArg = args.find((arg) => arg === "--html" || arg.startsWith("--html="));
+  const stream = args.includes("--stream");
+  const labelArg = args.find((arg) => arg.startsWith("--label="));
 
   if (!harFilePath) {
     console.log("🔧 HAR File Analyzer - Performance Gap Detection");
     console.log("=".repeat(50));
-    console.log("Usage: node scripts/har-analyzer.js <path-to-har-file>");
+    console.log(
+      "Usage: node scripts/har-analyzer.js <path-to-har-file> [--first-party=domain1,domain2] [--budget=budget.json] [--html[=report.html]] [--stream] [--label=name]"
+    );
+    console.log("");
+    console.log("  --first-party  Domains treated as first party (default: the page's own domain)");
+    console.log("  --budget       JSON budget file; exits non-zero when any budget is exceeded");
+    console.log("  --html         Also write a self-contained HTML waterfall report");
+    console.log("  --stream       Stream entries instead of loading the whole file (automatic above 64 MB)");
+    console.log("  --label        Label stored with this run in the results history (see results-store.js)");
     console.log("");
-    await HARAnalyzer.createHARFile();
+    console.log("Before attaching a HAR to a ticket: node scripts/har-sanitizer.js <path-to-har-file>");
+    console.log("");
+    console.log("No HAR yet? Record one headlessly: node scripts/har-capture.js http://localhost:3000");
     return;
   }
 
-  const analyzer = new HARAnalyzer();
+  let budget = null;
+  if (budgetArg) {
+    try {
+      budget = PerformanceBudget.load(budgetArg.split("=")[1]);
+    } catch (error) {
+      console.error("❌ Could not load budget:", error.message);
+      process.exit(1);
+    }
+  }
+
+  const analyzer = new HARAnalyzer({
+    firstPartyDomains: firstPartyArg ? firstPartyArg.split("=")[1].split(",").filter(Boolean) : [],
+    budget,
+    stream,
+    label: labelArg ? labelArg.split("=")[1] : null,
+  });
   await analyzer.analyzeHARFile(harFilePath);
 
+  if (htmlArg) {
+    const HARHtmlReport = require("./har-html-report");
+    const htmlPath = htmlArg.includes("=") ? htmlArg.split("=")[1] : path.join(__dirname, "..", "har-analysis-report.html");
+    new HARHtmlReport(analyzer).write(htmlPath);
+  }
+
+  // Gate deploys on the stored HAR
+  const breaches = analyzer.analysisReport.budgets.filter((result) => !result.passed);
+  if (breaches.length > 0) {
+    console.error(`\n❌ ${breaches.length} performance budget(s) exceeded`);
+    process.exitCode = 1;
+  }
+
   console.log("\n🎯 NEXT STEPS TO ACHIEVE <2MS LOAD TIME:");
   console.log("   1. Run WebP converter: node scripts/webp-converter-advanced.js");
   console.log("   2. Enable gzip/brotli compression in nginx.conf");
   console.log("   3. Implement CDN for static assets");
   console.log("   4. Add resource preloading for critical path");
-  console.log("   5. Re-run this analyzer to measure improvements");
+  console.log("   5. Re-run this analyzer and compare runs: node scripts/har-diff.js <before.har> <after.har>");
+  console.log("   6. Check for regressions across runs: node scripts/results-store.js har-analyzer");
 }
 
 if (require.main === module) {
@@ -0,0 +1,534 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const puppeteer = require("puppeteer");
+
+// Network/CPU profiles matching the Chrome DevTools presets; throughput in bytes per second
+const THROTTLING_PROFILES = {
+  none: null,
+  "slow-3g": { latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000, cpuSlowdown: 4 },
+  "fast-3g": { latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375, cpuSlowdown: 4 },
+  "4g": { latency: 20, downloadThroughput: 500000, uploadThroughput: 375000, cpuSlowdown: 1 },
+  desktop: { latency: 40, downloadThroughput: 1310720, uploadThroughput: 1310720, cpuSlowdown: 1 },
+};
+
+const CACHE_MODES = ["cold", "warm", "both"];
+
+// Content types for the built-in static server
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "application/javascript",
+  ".mjs": "application/javascript",
+  ".css": "text/css",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+class HARCapture {
+  constructor(options = {}) {
+    this.throttling = options.throttling || "none";
+    this.cache = options.cache || "cold";
+    this.includeBodies = options.includeBodies || false;
+    this.timeout = options.timeout || 30000;
+    this.viewport = options.viewport || { width: 1920, height: 1080 };
+
+    if (!(this.throttling in THROTTLING_PROFILES)) {
+      throw new Error(`Unknown throttling profile "${this.throttling}" (${Object.keys(THROTTLING_PROFILES).join(", ")})`);
+    }
+    if (!CACHE_MODES.includes(this.cache)) {
+      throw new Error(`Unknown cache mode "${this.cache}" (${CACHE_MODES.join(", ")})`);
+    }
+  }
+
+  // Captures every URL as its own page; returns the written file(s), one per cache mode
+  async captureToFile(urls, outputPath) {
+    const modes = this.cache === "both" ? ["cold", "warm"] : [this.cache];
+    const written = [];
+
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: ["--no-sandbox", "--disable-setuid-sandbox"],
+    });
+
+    try {
+      for (const mode of modes) {
+        console.log(`\n🌐 Capturing ${urls.length} page(s) with a ${mode} cache (throttling: ${this.throttling})...`);
+        const har = await this.capture(browser, urls, mode);
+        const filePath =
+          modes.length > 1 ? outputPath.replace(/(\.har)?$/, `-${mode}.har`) : outputPath;
+
+        fs.writeFileSync(filePath, JSON.stringify(har, null, 2));
+        console.log(`📄 ${har.log.entries.length} requests saved to: ${filePath}`);
+        written.push(filePath);
+      }
+    } finally {
+      await browser.close();
+    }
+
+    return written;
+  }
+
+  async capture(browser, urls, mode) {
+    // A fresh incognito context per run keeps cache and cookies from leaking between modes.
+    // Puppeteer 22 renamed createIncognitoBrowserContext to createBrowserContext.
+    const context = browser.createBrowserContext
+      ? await browser.createBrowserContext()
+      : await browser.createIncognitoBrowserContext();
+    const page = await context.newPage();
+    await page.setViewport(this.viewport);
+
+    const client = await page.target().createCDPSession();
+    await client.send("Page.enable");
+    await client.send("Network.enable");
+    await client.send("Network.setCacheDisabled", { cacheDisabled: false });
+    await client.send("Network.clearBrowserCache");
+    await this.applyThrottling(client);
+
+    try {
+      if (mode === "warm") {
+        // Prime the HTTP cache with an unrecorded visit to every page
+        for (const url of urls) {
+          await page.goto(url, { waitUntil: "networkidle0", timeout: this.timeout });
+        }
+      }
+
+      const recorder = this.createRecorder(client);
+      for (const url of urls) {
+        const harPage = recorder.startPage(url);
+        console.log(`   📊 ${url}`);
+        await page.goto(url, { waitUntil: "networkidle0", timeout: this.timeout });
+        await recorder.settle();
+
+        const paints = await page.evaluate(() =>
+          performance.getEntriesByType("paint").map((entry) => ({ name: entry.name, startTime: entry.startTime }))
+        );
+        paints.forEach((paint) => {
+          const key = paint.name === "first-contentful-paint" ? "_firstContentfulPaint" : "_firstPaint";
+          harPage.pageTimings[key] = Math.round(paint.startTime);
+        });
+      }
+
+      return recorder.toHAR(await browser.version());
+    } finally {
+      await context.close();
+    }
+  }
+
+  async applyThrottling(client) {
+    const profile = THROTTLING_PROFILES[this.throttling];
+    if (!profile) return;
+
+    await client.send("Network.emulateNetworkConditions", {
+      offline: false,
+      latency: profile.latency,
+      downloadThroughput: profile.downloadThroughput,
+      uploadThroughput: profile.uploadThroughput,
+    });
+    await client.send("Emulation.setCPUThrottlingRate", { rate: profile.cpuSlowdown });
+  }
+
+  // Listens to DevTools protocol events and turns them into HAR pages and entries
+  createRecorder(client) {
+    const requests = new Map();
+    const finished = [];
+    const extraInfo = { request: new Map(), response: new Map() };
+    const pending = new Set();
+    const bodyReads = [];
+    const pages = [];
+    let current = null;
+
+    const pushExtra = (map, requestId, info) => {
+      if (!map.has(requestId)) map.set(requestId, []);
+      map.get(requestId).push(info);
+    };
+
+    const complete = (record) => {
+      requests.delete(record.requestId);
+      pending.delete(record.requestId);
+      finished.push(record);
+    };
+
+    client.on("Network.requestWillBeSent", (event) => {
+      if (!current || event.request.url.startsWith("data:")) return;
+
+      const previous = requests.get(event.requestId);
+      if (previous && event.redirectResponse) {
+        // Redirects reuse the request id; the old hop ends when the new one starts
+        previous.response = event.redirectResponse;
+        previous.finishedTimestamp = event.timestamp;
+        previous.encodedDataLength = event.redirectResponse.encodedDataLength;
+        complete(previous);
+      }
+
+      if (!current.startTimestamp) {
+        current.startTimestamp = event.timestamp;
+        current.page.startedDateTime = new Date(event.wallTime * 1000).toISOString();
+      }
+
+      requests.set(event.requestId, {
+        requestId: event.requestId,
+        hop: previous ? previous.hop + 1 : 0,
+        pageref: current.page.id,
+        wallTime: event.wallTime,
+        timestamp: event.timestamp,
+        request: event.request,
+        initiator: event.initiator,
+        type: event.type,
+        response: null,
+        dataLength: 0,
+        encodedDataLength: 0,
+      });
+      pending.add(event.requestId);
+    });
+
+    client.on("Network.requestWillBeSentExtraInfo", (event) => pushExtra(extraInfo.request, event.requestId, event));
+    client.on("Network.responseReceivedExtraInfo", (event) => pushExtra(extraInfo.response, event.requestId, event));
+
+    client.on("Network.responseReceived", (event) => {
+      const record = requests.get(event.requestId);
+      if (!record) return;
+      record.response = event.response;
+      record.responseTimestamp = event.timestamp;
+      record.type = event.type || record.type;
+    });
+
+    client.on("Network.dataReceived", (event) => {
+      const record = requests.get(event.requestId);
+      if (record) record.dataLength += event.dataLength;
+    });
+
+    client.on("Network.loadingFinished", (event) => {
+      const record = requests.get(event.requestId);
+      if (!record) return;
+      record.finishedTimestamp = event.timestamp;
+      record.encodedDataLength = event.encodedDataLength;
+
+      if (this.includeBodies) {
+        bodyReads.push(
+          client
+            .send("Network.getResponseBody", { requestId: event.requestId })
+            .then((body) => {
+              record.body = body;
+            })
+            .catch(() => {})
+        );
+      }
+      complete(record);
+    });
+
+    client.on("Network.loadingFailed", (event) => {
+      const record = requests.get(event.requestId);
+      if (!record) return;
+      record.finishedTimestamp = event.timestamp;
+      record.error = event.canceled ? "canceled" : event.errorText;
+      complete(record);
+    });
+
+    client.on("Page.domContentEventFired", (event) => {
+      if (current && current.startTimestamp) {
+        current.page.pageTimings.onContentLoad = this.round((event.timestamp - current.startTimestamp) * 1000);
+      }
+    });
+
+    client.on("Page.loadEventFired", (event) => {
+      if (current && current.startTimestamp) {
+        current.page.pageTimings.onLoad = this.round((event.timestamp - current.startTimestamp) * 1000);
+      }
+    });
+
+    return {
+      startPage: (url) => {
+        const page = {
+          id: `page_${pages.length + 1}`,
+          title: url,
+          startedDateTime: new Date().toISOString(),
+          pageTimings: { onContentLoad: -1, onLoad: -1 },
+        };
+        pages.push(page);
+        current = { page, startTimestamp: null };
+        return page;
+      },
+
+      // networkidle0 allows stragglers that are still streaming; give them a moment to finish
+      settle: async () => {
+        const deadline = Date.now() + Math.min(this.timeout, 5000);
+        while (pending.size > 0 && Date.now() < deadline) {
+          await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+        await Promise.all(bodyReads);
+      },
+
+      toHAR: (browserVersion) => {
+        // Requests still open at the end are kept if their headers arrived
+        requests.forEach((record) => {
+          if (record.response) finished.push(record);
+        });
+
+        const entries = finished
+          .map((record) => {
+            const request = (extraInfo.request.get(record.requestId) || [])[record.hop];
+            const response = (extraInfo.response.get(record.requestId) || [])[record.hop];
+            return this.toEntry(record, request, response);
+          })
+          .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+
+        return {
+          log: {
+            version: "1.2",
+            creator: { name: "har-capture", version: "1.0" },
+            browser: { name: "HeadlessChrome", version: browserVersion.split("/").pop() },
+            pages,
+            entries,
+          },
+        };
+      },
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  toHeaderList(headers) {
+    return Object.entries(headers || {}).reduce((list, [name, value]) => {
+      // The protocol joins repeated headers (e.g. Set-Cookie) with newlines
+      String(value)
+        .split("\n")
+        .forEach((line) => list.push({ name, value: line }));
+      return list;
+    }, []);
+  }
+
+  parseCookies(headerList, headerName) {
+    return headerList
+      .filter((header) => header.name.toLowerCase() === headerName)
+      .reduce((cookies, header) => {
+        const pairs = headerName === "cookie" ? header.value.split(";") : [header.value.split(";")[0]];
+        pairs.forEach((pair) => {
+          const index = pair.indexOf("=");
+          if (index > 0) cookies.push({ name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() });
+        });
+        return cookies;
+      }, []);
+  }
+
+  getHttpVersion(protocol) {
+    if (!protocol) return "";
+    if (protocol === "h2") return "HTTP/2.0";
+    if (protocol === "h3" || protocol.startsWith("h3-")) return "HTTP/3";
+    return protocol.toUpperCase();
+  }
+
+  buildTimings(record) {
+    const response = record.response;
+    const timing = response && response.timing;
+    const endTimestamp = record.finishedTimestamp || record.responseTimestamp || record.timestamp;
+
+    if (!timing) {
+      // Memory cache hits and failures never reach the network stack
+      const headersAt = record.responseTimestamp || endTimestamp;
+      return {
+        blocked: 0,
+        dns: -1,
+        connect: -1,
+        ssl: -1,
+        send: 0,
+        wait: this.round(Math.max(headersAt - record.timestamp, 0) * 1000),
+        receive: this.round(Math.max(endTimestamp - headersAt, 0) * 1000),
+      };
+    }
+
+    // timing offsets are milliseconds relative to timing.requestTime (seconds)
+    const queued = Math.max((timing.requestTime - record.timestamp) * 1000, 0);
+    const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find((value) => value >= 0) || 0;
+
+    return {
+      blocked: this.round(queued + firstStart),
+      dns: timing.dnsStart >= 0 ? this.round(timing.dnsEnd - timing.dnsStart) : -1,
+      connect: timing.connectStart >= 0 ? this.round(timing.connectEnd - timing.connectStart) : -1,
+      ssl: timing.sslStart >= 0 ? this.round(timing.sslEnd - timing.sslStart) : -1,
+      send: this.round(Math.max(timing.sendEnd - timing.sendStart, 0)),
+      wait: this.round(Math.max(timing.receiveHeadersEnd - timing.sendEnd, 0)),
+      receive: this.round(Math.max((endTimestamp - timing.requestTime) * 1000 - timing.receiveHeadersEnd, 0)),
+    };
+  }
+
+  toEntry(record, requestInfo, responseInfo) {
+    const { request } = record;
+    const response = record.response || {};
+    const timings = this.buildTimings(record);
+    const time = ["blocked", "dns", "connect", "send", "wait", "receive"].reduce(
+      (sum, phase) => sum + Math.max(timings[phase], 0),
+      0
+    );
+
+    const requestHeaders = this.toHeaderList(
+      (requestInfo && requestInfo.headers) || response.requestHeaders || request.headers
+    );
+    const responseHeaders = this.toHeaderList((responseInfo && responseInfo.headers) || response.headers);
+    const contentType = requestHeaders.find((header) => header.name.toLowerCase() === "content-type");
+    const url = new URL(request.url);
+
+    const entry = {
+      pageref: record.pageref,
+      startedDateTime: new Date(record.wallTime * 1000).toISOString(),
+      time: this.round(time),
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: this.getHttpVersion(response.protocol),
+        headers: requestHeaders,
+        queryString: [...url.searchParams.entries()].map(([name, value]) => ({ name, value })),
+        cookies: this.parseCookies(requestHeaders, "cookie"),
+        headersSize: -1,
+        bodySize: request.postData ? Buffer.byteLength(request.postData) : 0,
+      },
+      response: {
+        status: response.status || 0,
+        statusText: response.statusText || "",
+        httpVersion: this.getHttpVersion(response.protocol),
+        headers: responseHeaders,
+        cookies: this.parseCookies(responseHeaders, "set-cookie"),
+        content: {
+          size: record.dataLength,
+          mimeType: response.mimeType || "x-unknown",
+        },
+        redirectURL: (responseHeaders.find((header) => header.name.toLowerCase() === "location") || {}).value || "",
+        headersSize: -1,
+        bodySize: -1,
+        _transferSize: record.encodedDataLength,
+        _error: record.error,
+      },
+      cache: {},
+      timings,
+      serverIPAddress: (response.remoteIPAddress || "").replace(/^\[|\]$/g, ""),
+      connection: response.connectionId !== undefined ? String(response.connectionId) : undefined,
+      _initiator: record.initiator,
+      _priority: request.initialPriority,
+      _resourceType: (record.type || "other").toLowerCase(),
+      _fromCache: response.fromDiskCache ? "disk" : response.fromPrefetchCache ? "prefetch" : undefined,
+    };
+
+    if (request.postData !== undefined) {
+      entry.request.postData = { mimeType: contentType ? contentType.value : "", text: request.postData };
+    }
+
+    if (record.body) {
+      entry.response.content.text = record.body.body;
+      if (record.body.base64Encoded) entry.response.content.encoding = "base64";
+    }
+
+    return entry;
+  }
+
+  // Minimal static file server so captures can be tested without the Next.js app running
+  static serve(rootDir, port = 0) {
+    const root = path.resolve(rootDir);
+
+    const server = http.createServer((req, res) => {
+      const pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+      let filePath = path.join(root, pathname);
+
+      if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        res.writeHead(403).end();
+        return;
+      }
+      if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, "index.html");
+      }
+      if (!fs.existsSync(filePath)) {
+        res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+        return;
+      }
+
+      // Cacheable responses so warm-cache runs have something to reuse
+      res.writeHead(200, {
+        "Content-Type": MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream",
+        "Content-Length": fs.statSync(filePath).size,
+        "Cache-Control": "public, max-age=3600",
+      });
+      fs.createReadStream(filePath).pipe(res);
+    });
+
+    return new Promise((resolve, reject) => {
+      server.on("error", reject);
+      server.listen(port, "127.0.0.1", () => {
+        resolve({ server, origin: `http://127.0.0.1:${server.address().port}` });
+      });
+    });
+  }
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const targets = args.filter((arg) => !arg.startsWith("--"));
+  const option = (name) => {
+    const arg = args.find((candidate) => candidate.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const serveDir = option("serve");
+
+  if (targets.length === 0 && !serveDir) {
+    console.log("🔧 HAR Capture - Headless Network Recording");
+    console.log("=".repeat(50));
+    console.log(
+      "Usage: node scripts/har-capture.js <url> [url...] [--output=file.har] [--throttle=profile] [--cache=cold|warm|both] [--include-bodies] [--serve=dir]"
+    );
+    console.log("");
+    console.log(`  --throttle        Network/CPU profile: ${Object.keys(THROTTLING_PROFILES).join(", ")} (default: none)`);
+    console.log("  --cache           cold clears the cache first, warm records a second visit, both writes -cold/-warm files");
+    console.log("  --include-bodies  Store response bodies (lets the analyzer measure compression exactly)");
+    console.log("  --serve           Serve a local directory and capture it; urls are then paths (default: /)");
+    console.log("");
+    console.log("Example: node scripts/har-capture.js http://localhost:3000 http://localhost:3000/news --cache=both");
+    return;
+  }
+
+  let served = null;
+  try {
+    const capture = new HARCapture({
+      throttling: option("throttle"),
+      cache: option("cache"),
+      includeBodies: args.includes("--include-bodies"),
+    });
+
+    let urls = targets;
+    if (serveDir) {
+      served = await HARCapture.serve(serveDir);
+      console.log(`📁 Serving ${serveDir} at ${served.origin}`);
+      urls = (targets.length > 0 ? targets : ["/"]).map((target) => new URL(target, served.origin).toString());
+    }
+
+    const outputPath = option("output") || path.join(__dirname, "..", "website-performance.har");
+    const written = await capture.captureToFile(urls, outputPath);
+
+    console.log("\n🎯 Analyze with:");
+    written.forEach((filePath) => console.log(`   node scripts/har-analyzer.js ${filePath}`));
+    if (written.length === 2) {
+      console.log(`   node scripts/har-diff.js ${written[0]} ${written[1]}`);
+    }
+  } catch (error) {
+    console.error("❌ HAR capture failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    if (served) served.server.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = HARCapture;
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const HARAnalyzer = require("./har-analyzer");
+
+// Query parameters that change on every load without changing the resource
+const VOLATILE_PARAMS = ["_rsc", "_", "cb", "t", "ts", "v"];
+
+class HARDiff {
+  constructor(options = {}) {
+    this.ignoreImageExtensions = options.ignoreImageExtensions || false;
+    this.volatileParams = options.volatileParams || VOLATILE_PARAMS;
+    this.analyzer = new HARAnalyzer();
+    this.diffReport = {
+      baseline: null,
+      candidate: null,
+      totals: {},
+      pages: [],
+      resourceBreakdown: {},
+      changed: [],
+      added: [],
+      removed: [],
+    };
+  }
+
+  async compareHARFiles(baselinePath, candidatePath) {
+    try {
+      console.log("🔍 Starting HAR comparison...");
+      console.log(`📁 Baseline:  ${baselinePath}`);
+      console.log(`📁 Candidate: ${candidatePath}`);
+
+      const baseline = await this.analyze(baselinePath);
+      const candidate = await this.analyze(candidatePath);
+
+      this.diffReport.baseline = baselinePath;
+      this.diffReport.candidate = candidatePath;
+      this.compareTotals(baseline, candidate);
+      this.comparePages(baseline, candidate);
+      this.compareResourceBreakdown(baseline, candidate);
+      this.compareRequests(baseline, candidate);
+      this.generateReport();
+    } catch (error) {
+      console.error("❌ HAR comparison failed:", error.message);
+      process.exit(1);
+    }
+  }
+
+  async analyze(harFilePath) {
+    const analyzer = new HARAnalyzer({ quiet: true });
+    const pages = await analyzer.loadPages(harFilePath);
+    await analyzer.performAnalysis();
+
+    return {
+      entries: pages.flatMap((page) => page.entries),
+      report: analyzer.analysisReport,
+    };
+  }
+
+  normalizeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !this.volatileParams.includes(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    let pathname = parsed.pathname;
+
+    // Build hashes and the build ID change on every deploy; the chunk they name does not
+    if (pathname.startsWith("/_next/static/")) {
+      pathname = pathname
+        .replace(/^\/_next\/static\/(?!(?:chunks|css|media|webpack)\/)[^/]+\//, "/_next/static/{build}/")
+        .replace(/\/[0-9a-f]{8,20}(?=\.[a-z0-9]+$)/i, "/{hash}")
+        .replace(/([-.])[0-9a-f]{8,20}(?=\.[a-z0-9]+$)/i, "");
+    } else if (pathname.startsWith("/_next/data/")) {
+      pathname = pathname.replace(/^\/_next\/data\/[^/]+\//, "/_next/data/{build}/");
+    }
+
+    // Lets photo.jpg in the baseline line up with photo.webp in the candidate
+    if (this.ignoreImageExtensions) {
+      pathname = pathname.replace(/\.(jpe?g|png|gif|webp|avif)$/i, ".{img}");
+    }
+
+    const query = params.length > 0 ? "?" + params.map(([name, value]) => `${name}=${value}`).join("&") : "";
+    return `${parsed.host.toLowerCase()}${pathname}${query}`;
+  }
+
+  indexEntries(entries) {
+    const index = new Map();
+    const seen = {};
+
+    // Repeated URLs are matched by occurrence: first with first, second with second
+    entries.forEach((entry) => {
+      const url = this.normalizeUrl(entry.request.url);
+      seen[url] = (seen[url] || 0) + 1;
+      index.set(`${url}#${seen[url]}`, entry);
+    });
+
+    return index;
+  }
+
+  describeEntry(entry) {
+    return {
+      url: entry.request.url,
+      type: this.analyzer.getResourceType(entry),
+      status: entry.response.status,
+      size: entry.response.content.size || 0,
+      transferSize: this.analyzer.getTransferSize(entry),
+      time: Math.round(entry.time),
+    };
+  }
+
+  compareTotals(baseline, candidate) {
+    const totals = (run) => ({
+      requests: run.entries.length,
+      size: run.entries.reduce((sum, entry) => sum + (entry.response.content.size || 0), 0),
+      transferSize: run.entries.reduce((sum, entry) => sum + this.analyzer.getTransferSize(entry), 0),
+      loadTime: Math.round(run.report.totalLoadTime),
+    });
+
+    const before = totals(baseline);
+    const after = totals(candidate);
+    this.diffReport.totals = { baseline: before, candidate: after, delta: this.delta(before, after) };
+  }
+
+  comparePages(baseline, candidate) {
+    // Pages are matched by title, which Chrome sets to the navigated URL
+    candidate.report.pages.forEach((page) => {
+      const match = baseline.report.pages.find((basePage) => basePage.title === page.title);
+      if (match) {
+        this.diffReport.pages.push({
+          title: page.title,
+          baseline: Math.round(match.loadTime),
+          candidate: Math.round(page.loadTime),
+          delta: Math.round(page.loadTime - match.loadTime),
+        });
+      }
+    });
+  }
+
+  compareResourceBreakdown(baseline, candidate) {
+    const types = new Set([
+      ...Object.keys(baseline.report.resourceBreakdown),
+      ...Object.keys(candidate.report.resourceBreakdown),
+    ]);
+    const empty = { count: 0, totalSize: 0, totalTime: 0 };
+
+    types.forEach((type) => {
+      const before = baseline.report.resourceBreakdown[type] || empty;
+      const after = candidate.report.resourceBreakdown[type] || empty;
+      this.diffReport.resourceBreakdown[type] = this.delta(
+        { count: before.count, totalSize: before.totalSize, totalTime: Math.round(before.totalTime) },
+        { count: after.count, totalSize: after.totalSize, totalTime: Math.round(after.totalTime) }
+      );
+    });
+  }
+
+  compareRequests(baseline, candidate) {
+    const before = this.indexEntries(baseline.entries);
+    const after = this.indexEntries(candidate.entries);
+
+    before.forEach((entry, key) => {
+      if (!after.has(key)) {
+        this.diffReport.removed.push(this.describeEntry(entry));
+        return;
+      }
+
+      const old = this.describeEntry(entry);
+      const current = this.describeEntry(after.get(key));
+      this.diffReport.changed.push({
+        url: current.url,
+        type: current.type,
+        baseline: old,
+        candidate: current,
+        delta: this.delta(
+          { size: old.size, transferSize: old.transferSize, time: old.time },
+          { size: current.size, transferSize: current.transferSize, time: current.time }
+        ),
+        statusChanged: old.status !== current.status,
+      });
+    });
+
+    after.forEach((entry, key) => {
+      if (!before.has(key)) {
+        this.diffReport.added.push(this.describeEntry(entry));
+      }
+    });
+
+    this.diffReport.changed.sort((a, b) => Math.abs(b.delta.time) - Math.abs(a.delta.time));
+  }
+
+  delta(before, after) {
+    const result = {};
+    Object.keys(before).forEach((key) => {
+      result[key] = after[key] - before[key];
+    });
+    return result;
+  }
+
+  formatDelta(value, unit = "") {
+    if (unit === "bytes") {
+      return (value > 0 ? "+" : value < 0 ? "-" : "±") + this.analyzer.formatBytes(Math.abs(value));
+    }
+    return `${value > 0 ? "+" : ""}${value}${unit}`;
+  }
+
+  generateReport() {
+    const { totals, pages, resourceBreakdown, changed, added, removed } = this.diffReport;
+
+    console.log("\n📊 HAR COMPARISON REPORT");
+    console.log("=".repeat(60));
+    console.log(
+      `⏱️  Load time: ${totals.baseline.loadTime}ms → ${totals.candidate.loadTime}ms (${this.formatDelta(totals.delta.loadTime, "ms")})`
+    );
+    console.log(
+      `📦 Transferred: ${this.analyzer.formatBytes(totals.baseline.transferSize)} → ` +
+        `${this.analyzer.formatBytes(totals.candidate.transferSize)} (${this.formatDelta(totals.delta.transferSize, "bytes")})`
+    );
+    console.log(
+      `🔢 Requests: ${totals.baseline.requests} → ${totals.candidate.requests} (${this.formatDelta(totals.delta.requests)})`
+    );
+
+    if (pages.length > 0) {
+      console.log("\n📄 PAGE LOAD TIMES:");
+      console.log("-".repeat(80));
+      pages.forEach((page) => {
+        console.log(
+          `   ${page.title.substring(0, 50).padEnd(52)} ${page.baseline}ms → ${page.candidate}ms (${this.formatDelta(page.delta, "ms")})`
+        );
+      });
+    }
+
+    console.log("\n📋 RESOURCE BREAKDOWN DELTA:");
+    console.log("-".repeat(80));
+    console.log("Type".padEnd(12) + "Count".padEnd(10) + "Total Size".padEnd(18) + "Total Time");
+    console.log("-".repeat(80));
+    Object.entries(resourceBreakdown).forEach(([type, data]) => {
+      console.log(
+        type.padEnd(12) +
+          this.formatDelta(data.count).padEnd(10) +
+          this.formatDelta(data.totalSize, "bytes").padEnd(18) +
+          this.formatDelta(data.totalTime, "ms")
+      );
+    });
+
+    const statusChanges = changed.filter((change) => change.statusChanged);
+    if (statusChanges.length > 0) {
+      console.log("\n🚦 STATUS CHANGES:");
+      console.log("-".repeat(80));
+      statusChanges.forEach((change) => {
+        console.log(`   ${change.baseline.status} → ${change.candidate.status}  ${change.url.substring(0, 90)}`);
+      });
+    }
+
+    const significant = changed.filter((change) => change.delta.time !== 0 || change.delta.transferSize !== 0);
+    if (significant.length > 0) {
+      console.log("\n🔀 LARGEST PER-RESOURCE CHANGES:");
+      console.log("-".repeat(80));
+      significant.slice(0, 10).forEach((change) => {
+        console.log(
+          `   ${this.formatDelta(change.delta.time, "ms").padEnd(10)} ${this.formatDelta(change.delta.transferSize, "bytes").padEnd(14)} ${change.url.substring(0, 70)}`
+        );
+      });
+    }
+
+    if (added.length > 0) {
+      console.log(`\n➕ ADDED REQUESTS (${added.length}):`);
+      added.slice(0, 10).forEach((entry) => {
+        console.log(`   ${entry.status} ${this.analyzer.formatBytes(entry.transferSize).padEnd(12)} ${entry.url.substring(0, 80)}`);
+      });
+    }
+
+    if (removed.length > 0) {
+      console.log(`\n➖ REMOVED REQUESTS (${removed.length}):`);
+      removed.slice(0, 10).forEach((entry) => {
+        console.log(`   ${entry.status} ${this.analyzer.formatBytes(entry.transferSize).padEnd(12)} ${entry.url.substring(0, 80)}`);
+      });
+    }
+
+    const reportPath = path.join(__dirname, "..", "har-diff-report.json");
+    fs.writeFileSync(
+      reportPath,
+      JSON.stringify(
+        {
+          timestamp: new Date().toISOString(),
+          ...this.diffReport,
+        },
+        null,
+        2
+      )
+    );
+
+    console.log(`\n📄 Detailed comparison saved to: ${reportPath}`);
+  }
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const files = args.filter((arg) => !arg.startsWith("--"));
+
+  if (files.length !== 2) {
+    console.log("🔧 HAR Diff - Before/After Comparison");
+    console.log("=".repeat(50));
+    console.log("Usage: node scripts/har-diff.js <baseline.har> <candidate.har> [--ignore-image-ext]");
+    console.log("");
+    console.log("  --ignore-image-ext  Match photo.jpg against photo.webp (for WebP migrations)");
+    return;
+  }
+
+  const diff = new HARDiff({ ignoreImageExtensions: args.includes("--ignore-image-ext") });
+  await diff.compareHARFiles(files[0], files[1]);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = HARDiff;
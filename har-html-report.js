@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const HARAnalyzer = require("./har-analyzer");
+
+// Waterfall colors per HAR timing phase, close to Chrome DevTools
+const PHASE_COLORS = {
+  blocked: "#b0b0b0",
+  dns: "#1f9e89",
+  connect: "#f29b34",
+  ssl: "#b44fd6",
+  send: "#3273dc",
+  wait: "#4caf50",
+  receive: "#2196f3",
+};
+
+class HARHtmlReport {
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  collectRequests() {
+    const pages = this.analyzer.pages;
+    const requests = [];
+
+    pages.forEach((page) => {
+      const startTime = page.entries.reduce(
+        (min, entry) => Math.min(min, new Date(entry.startedDateTime).getTime()),
+        Infinity
+      );
+      page.entries.forEach((entry) => {
+        const phases = this.analyzer.getTimingPhases(entry);
+        requests.push({
+          page: page.title,
+          url: entry.request.url,
+          method: entry.request.method,
+          status: entry.response.status,
+          type: this.analyzer.getResourceType(entry),
+          origin: this.analyzer.getOrigin(entry.request.url),
+          start: new Date(entry.startedDateTime).getTime() - startTime,
+          time: entry.time,
+          size: entry.response.content.size || 0,
+          transferSize: this.analyzer.getTransferSize(entry),
+          // connect includes ssl in HAR; split them so the bar segments do not overlap
+          phases: { ...phases, connect: Math.max(phases.connect - phases.ssl, 0) },
+        });
+      });
+    });
+
+    return requests;
+  }
+
+  renderTable(headers, rows) {
+    if (rows.length === 0) {
+      return '<p class="empty">Nothing to report.</p>';
+    }
+
+    return (
+      "<table><thead><tr>" +
+      headers.map((header) => `<th>${this.escapeHtml(header)}</th>`).join("") +
+      "</tr></thead><tbody>" +
+      rows.map((row) => "<tr>" + row.map((cell) => `<td>${this.escapeHtml(cell)}</td>`).join("") + "</tr>").join("") +
+      "</tbody></table>"
+    );
+  }
+
+  renderPageSections(report) {
+    const criticalPath = report.criticalPath
+      ? `<p>${report.criticalPath.chain.length} request(s), ${report.criticalPath.totalDuration}ms; most expensive link: ` +
+        `<code>${this.escapeHtml(report.criticalPath.mostExpensiveLink.url)}</code> (+${report.criticalPath.mostExpensiveLink.cost}ms)</p>` +
+        this.renderTable(
+          ["#", "Type", "Added", "Duration", "Size", "URL"],
+          report.criticalPath.chain.map((link, index) => [index + 1, link.type, `+${link.cost}ms`, `${link.time}ms`, link.size, link.url])
+        )
+      : '<p class="empty">No render-blocking chain found.</p>';
+
+    return `
+      <section class="page" data-page="${this.escapeHtml(report.title)}">
+        <h2>📄 ${this.escapeHtml(report.title)}</h2>
+        <p class="meta">${report.requestCount} requests · load ${Math.round(report.loadTime)}ms` +
+      (report.onContentLoad !== null ? ` · DCL ${Math.round(report.onContentLoad)}ms` : "") +
+      `</p>
+        <h3>📋 Resource breakdown</h3>
+        ${this.renderTable(
+          ["Type", "Count", "Total size", "Avg time", "Total time"],
+          Object.entries(report.resourceBreakdown).map(([type, data]) => [
+            type,
+            data.count,
+            data.totalSizeFormatted,
+            `${data.avgTime}ms`,
+            `${Math.round(data.totalTime)}ms`,
+          ])
+        )}
+        <h3>🎯 Critical path</h3>
+        ${criticalPath}
+        <h3>⚠️ Performance gaps</h3>
+        ${this.renderTable(
+          ["Gap", "After", "Before", "Suggestion"],
+          report.performanceGaps.map((gap) =>
+            gap.type === "Target Exceeded"
+              ? ["—", "", "", gap.suggestion]
+              : [`${Math.round(gap.gapDuration)}ms`, gap.beforeResource, gap.afterResource, gap.suggestion]
+          )
+        )}
+        <h3>🚫 Bottlenecks</h3>
+        ${this.renderTable(
+          ["Issue", "Time", "Size", "Cause", "URL"],
+          report.bottlenecks.map((b) => [b.issue, `${Math.round(b.time)}ms`, b.size, b.cause || "", b.url])
+        )}
+      </section>`;
+  }
+
+  render() {
+    const report = this.analyzer.analysisReport;
+    const requests = this.collectRequests();
+    // Keep "</script>" inside URLs from closing the data block
+    const data = JSON.stringify({ requests, phaseColors: PHASE_COLORS }).replace(/</g, "\\u003c");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>HAR Analysis Report</title>
+<style>
+  body { font: 13px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1d2327; background: #f6f7f9; }
+  header { background: #121618; color: #fff; padding: 16px 24px; }
+  header h1 { margin: 0 0 4px; font-size: 20px; }
+  main { padding: 16px 24px; }
+  section { background: #fff; border: 1px solid #dde1e6; border-radius: 6px; padding: 12px 16px; margin-bottom: 16px; }
+  h2 { font-size: 16px; margin: 0 0 4px; }
+  h3 { font-size: 14px; margin: 16px 0 6px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eef0f2; vertical-align: top; word-break: break-all; }
+  th { background: #f0f2f4; }
+  .meta, .empty { color: #6b7280; }
+  .filters { display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 8px; }
+  .filters label { display: flex; gap: 4px; align-items: center; }
+  .legend span { display: inline-flex; align-items: center; gap: 4px; margin-right: 12px; }
+  .legend i { display: inline-block; width: 12px; height: 8px; }
+  .row { display: grid; grid-template-columns: 40px 60px 360px 1fr; align-items: center; border-bottom: 1px solid #f0f2f4; cursor: pointer; }
+  .row:hover { background: #f6f9ff; }
+  .row .url { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; padding-right: 8px; }
+  .row .status.error { color: #c62828; font-weight: bold; }
+  .track { position: relative; height: 14px; }
+  .bar { position: absolute; top: 2px; height: 10px; display: flex; min-width: 1px; }
+  .bar i { height: 100%; }
+  .details { display: none; grid-column: 1 / -1; padding: 4px 8px 8px 100px; color: #4b5563; }
+  .row.open .details { display: block; }
+</style>
+</head>
+<body>
+<header>
+  <h1>📊 HAR Analysis Report</h1>
+  <div>${report.pageSummary ? report.pageSummary.pageCount : 0} page(s) · ${requests.length} requests ·
+    slowest load ${Math.round(report.totalLoadTime)}ms · target ${this.analyzer.targetLoadTime}ms ·
+    generated ${this.escapeHtml(new Date().toISOString())}</div>
+</header>
+<main>
+  <section>
+    <h2>🌊 Waterfall</h2>
+    <div class="filters">
+      <label>Page <select id="filter-page"><option value="">All</option></select></label>
+      <label>Type <select id="filter-type"><option value="">All</option></select></label>
+      <label>Origin <select id="filter-origin"><option value="">All</option></select></label>
+      <label>URL <input id="filter-url" type="search" placeholder="contains…"></label>
+      <span id="filter-count" class="meta"></span>
+    </div>
+    <div class="legend" id="legend"></div>
+    <div id="waterfall"></div>
+  </section>
+  ${report.pages.map((page) => this.renderPageSections(page)).join("\n")}
+</main>
+<script type="application/json" id="har-data">${data}</script>
+<script>
+(function () {
+  var data = JSON.parse(document.getElementById("har-data").textContent);
+  var phases = Object.keys(data.phaseColors);
+  var filters = {
+    page: document.getElementById("filter-page"),
+    type: document.getElementById("filter-type"),
+    origin: document.getElementById("filter-origin"),
+    url: document.getElementById("filter-url"),
+  };
+
+  function fillOptions(select, key) {
+    var values = [];
+    data.requests.forEach(function (request) {
+      if (values.indexOf(request[key]) === -1) values.push(request[key]);
+    });
+    values.sort().forEach(function (value) {
+      var option = document.createElement("option");
+      option.value = option.textContent = value;
+      select.appendChild(option);
+    });
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function render() {
+    var container = document.getElementById("waterfall");
+    var visible = data.requests.filter(function (request) {
+      return (!filters.page.value || request.page === filters.page.value) &&
+        (!filters.type.value || request.type === filters.type.value) &&
+        (!filters.origin.value || request.origin === filters.origin.value) &&
+        (!filters.url.value || request.url.indexOf(filters.url.value) !== -1);
+    });
+    var end = visible.reduce(function (max, request) { return Math.max(max, request.start + request.time); }, 1);
+
+    container.textContent = "";
+    document.getElementById("filter-count").textContent = visible.length + " of " + data.requests.length + " requests";
+
+    visible.forEach(function (request) {
+      var row = el("div", "row");
+      row.appendChild(el("span", "status" + (request.status >= 400 ? " error" : ""), String(request.status)));
+      row.appendChild(el("span", "type", request.type));
+      var url = el("span", "url", request.url);
+      url.title = request.url;
+      row.appendChild(url);
+
+      var track = el("div", "track");
+      var bar = el("div", "bar");
+      bar.style.left = (request.start / end) * 100 + "%";
+      bar.style.width = (request.time / end) * 100 + "%";
+      phases.forEach(function (phase) {
+        if (request.phases[phase] <= 0) return;
+        var segment = el("i");
+        segment.style.background = data.phaseColors[phase];
+        segment.style.flex = String(request.phases[phase]);
+        bar.appendChild(segment);
+      });
+      bar.title = phases.map(function (phase) { return phase + ": " + Math.round(request.phases[phase]) + "ms"; }).join("\\n");
+      track.appendChild(bar);
+      row.appendChild(track);
+
+      var details = el("div", "details",
+        request.method + " · " + request.page + " · start " + Math.round(request.start) + "ms · total " +
+        Math.round(request.time) + "ms · " + request.transferSize + " bytes transferred (" + request.size + " decoded) · " +
+        phases.map(function (phase) { return phase + " " + Math.round(request.phases[phase]) + "ms"; }).join(", "));
+      row.appendChild(details);
+      row.addEventListener("click", function () { row.classList.toggle("open"); });
+      container.appendChild(row);
+    });
+
+    document.querySelectorAll("section.page").forEach(function (section) {
+      section.style.display = !filters.page.value || section.getAttribute("data-page") === filters.page.value ? "" : "none";
+    });
+  }
+
+  phases.forEach(function (phase) {
+    var item = el("span");
+    var swatch = el("i");
+    swatch.style.background = data.phaseColors[phase];
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(phase));
+    document.getElementById("legend").appendChild(item);
+  });
+  fillOptions(filters.page, "page");
+  fillOptions(filters.type, "type");
+  fillOptions(filters.origin, "origin");
+  Object.keys(filters).forEach(function (key) {
+    filters[key].addEventListener("input", render);
+  });
+  render();
+})();
+</script>
+</body>
+</html>
+`;
+  }
+
+  write(outputPath) {
+    fs.writeFileSync(outputPath, this.render());
+    console.log(`🌐 HTML report saved to: ${outputPath}`);
+    return outputPath;
+  }
+}
+
+// Main execution
+async function main() {
+  const harFilePath = process.argv[2];
+
+  if (!harFilePath) {
+    console.log("🔧 HAR HTML Report - Shareable Waterfall");
+    console.log("=".repeat(50));
+    console.log("Usage: node scripts/har-html-report.js <path-to-har-file> [output.html]");
+    return;
+  }
+
+  try {
+    const analyzer = new HARAnalyzer();
+    await analyzer.loadPages(harFilePath);
+    await analyzer.performAnalysis();
+
+    const outputPath = process.argv[3] || path.join(__dirname, "..", "har-analysis-report.html");
+    new HARHtmlReport(analyzer).write(outputPath);
+  } catch (error) {
+    console.error("❌ HTML report failed:", error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = HARHtmlReport;
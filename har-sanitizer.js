@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const HARAnalyzer = require("./har-analyzer");
+
+// Headers whose values are credentials; matched case-insensitively
+const SENSITIVE_HEADERS = ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key", "x-auth-token", "x-csrf-token"];
+
+// Query parameters that commonly carry tokens; --params replaces this list
+const SENSITIVE_PARAMS = [
+  "token", "access_token", "refresh_token", "id_token", "auth", "code", "state", "key", "api_key", "apikey",
+  "session", "sessionid", "sid", "sig", "signature", "password", "secret",
+];
+
+// Headers that repeat another request's URL and therefore its query string
+const URL_HEADERS = ["referer", "location", "content-location"];
+
+class HARSanitizer {
+  constructor(options = {}) {
+    this.hash = options.hash || false;
+    this.salt = options.salt !== undefined ? options.salt : crypto.randomBytes(16).toString("hex");
+    this.sensitiveHeaders = (options.headers || SENSITIVE_HEADERS).map((name) => name.toLowerCase());
+    this.sensitiveParams = (options.params || SENSITIVE_PARAMS).map((name) => name.toLowerCase());
+    this.dropResponseBodies = options.dropResponseBodies || false;
+    this.stats = { headers: 0, cookies: 0, params: 0, postBodies: 0, responseBodies: 0 };
+  }
+
+  async sanitizeHARFile(inputPath, outputPath) {
+    try {
+      console.log("🧹 Sanitizing HAR file...");
+      console.log(`📁 Input:  ${inputPath}`);
+
+      // Bodies are only streamed in when they are going to be kept
+      const analyzer = new HARAnalyzer({ includeBodies: !this.dropResponseBodies });
+      const har = await analyzer.loadHARFile(inputPath);
+
+      this.sanitize(har);
+      fs.writeFileSync(outputPath, JSON.stringify(har, null, 2));
+
+      this.printSummary(outputPath);
+      return outputPath;
+    } catch (error) {
+      console.error("❌ HAR sanitizing failed:", error.message);
+      process.exit(1);
+    }
+  }
+
+  sanitize(har) {
+    const log = har.log;
+
+    // Chrome titles pages with the navigated URL
+    (log.pages || []).forEach((page) => {
+      page.title = this.sanitizeUrl(page.title);
+    });
+
+    log.entries.forEach((entry) => {
+      this.sanitizeRequest(entry.request);
+      this.sanitizeResponse(entry.response);
+      this.sanitizeInitiator(entry._initiator);
+    });
+
+    return har;
+  }
+
+  // Keeps values correlatable across requests in hash mode without revealing them
+  redact(value) {
+    return `sha256:${crypto.createHash("sha256").update(this.salt + value).digest("hex").substring(0, 16)}`;
+  }
+
+  isSensitiveParam(name) {
+    return this.sensitiveParams.includes(name.toLowerCase());
+  }
+
+  sanitizeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+
+    const params = [...parsed.searchParams.entries()];
+    if (!params.some(([name]) => this.isSensitiveParam(name))) return url;
+
+    // Rebuild in place so parameter order, and with it URL matching in the analyzer, is preserved
+    parsed.search = "";
+    params.forEach(([name, value]) => {
+      if (!this.isSensitiveParam(name)) {
+        parsed.searchParams.append(name, value);
+      } else if (this.hash) {
+        parsed.searchParams.append(name, this.redact(value));
+      }
+    });
+    return parsed.toString();
+  }
+
+  // HTTP/2 :path carries the path and query of the request URL without its origin
+  sanitizePath(value) {
+    const base = "http://placeholder";
+    const sanitized = this.sanitizeUrl(`${base}${value.startsWith("/") ? "" : "/"}${value}`);
+    return sanitized.startsWith(base) ? sanitized.substring(base.length) : value;
+  }
+
+  // HTTP/2 :authority is host[:port], optionally preceded by user:password@
+  sanitizeAuthority(value) {
+    const at = value.lastIndexOf("@");
+    if (at === -1) return value;
+    this.stats.headers++;
+    return this.hash ? `${this.redact(value.substring(0, at))}@${value.substring(at + 1)}` : value.substring(at + 1);
+  }
+
+  sanitizeHeaders(headers) {
+    return (headers || []).reduce((kept, header) => {
+      const name = header.name.toLowerCase();
+
+      if (this.sensitiveHeaders.includes(name)) {
+        this.stats.headers++;
+        if (this.hash) kept.push({ ...header, value: this.redact(header.value) });
+        return kept;
+      }
+
+      if (name === ":path") {
+        kept.push({ ...header, value: this.sanitizePath(header.value) });
+      } else if (name === ":authority") {
+        kept.push({ ...header, value: this.sanitizeAuthority(header.value) });
+      } else {
+        kept.push(URL_HEADERS.includes(name) ? { ...header, value: this.sanitizeUrl(header.value) } : header);
+      }
+      return kept;
+    }, []);
+  }
+
+  sanitizeCookies(cookies) {
+    this.stats.cookies += (cookies || []).length;
+    return this.hash ? (cookies || []).map((cookie) => ({ ...cookie, value: this.redact(cookie.value) })) : [];
+  }
+
+  sanitizeRequest(request) {
+    const url = request.url;
+    request.url = this.sanitizeUrl(request.url);
+    if (request.url !== url) this.stats.params++;
+
+    request.headers = this.sanitizeHeaders(request.headers);
+    request.cookies = this.sanitizeCookies(request.cookies);
+    request.queryString = (request.queryString || []).reduce((kept, param) => {
+      if (!this.isSensitiveParam(param.name)) kept.push(param);
+      else if (this.hash) kept.push({ ...param, value: this.redact(param.value) });
+      return kept;
+    }, []);
+
+    if (request.postData) {
+      const postData = request.postData;
+      if (postData.text) {
+        postData.text = this.hash ? this.redact(postData.text) : "";
+        this.stats.postBodies++;
+      }
+      if (postData.params) {
+        postData.params = postData.params.map((param) => ({
+          ...param,
+          value: this.hash && param.value !== undefined ? this.redact(param.value) : "",
+        }));
+      }
+    }
+  }
+
+  sanitizeResponse(response) {
+    response.headers = this.sanitizeHeaders(response.headers);
+    response.cookies = this.sanitizeCookies(response.cookies);
+    response.redirectURL = this.sanitizeUrl(response.redirectURL || "");
+
+    // size stays, so byte totals in the analyzer do not change
+    if (this.dropResponseBodies && response.content && response.content.text !== undefined) {
+      delete response.content.text;
+      delete response.content.encoding;
+      this.stats.responseBodies++;
+    }
+  }
+
+  sanitizeInitiator(initiator) {
+    if (!initiator) return;
+
+    if (initiator.url) initiator.url = this.sanitizeUrl(initiator.url);
+    for (let stack = initiator.stack; stack; stack = stack.parent) {
+      (stack.callFrames || []).forEach((frame) => {
+        if (frame.url) frame.url = this.sanitizeUrl(frame.url);
+      });
+    }
+  }
+
+  printSummary(outputPath) {
+    const mode = this.hash ? "hashed" : "stripped";
+
+    console.log("\n🔒 SANITIZE SUMMARY:");
+    console.log("-".repeat(60));
+    console.log(`   Sensitive headers ${mode}: ${this.stats.headers}`);
+    console.log(`   Cookies ${mode}: ${this.stats.cookies}`);
+    console.log(`   URLs with sensitive query parameters: ${this.stats.params}`);
+    console.log(`   POST bodies ${mode}: ${this.stats.postBodies}`);
+    if (this.dropResponseBodies) {
+      console.log(`   Response bodies dropped: ${this.stats.responseBodies}`);
+    }
+    console.log("-".repeat(60));
+    console.log(`\n📄 Sanitized HAR saved to: ${outputPath}`);
+  }
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const files = args.filter((arg) => !arg.startsWith("--"));
+  const listArg = (name) => {
+    const arg = args.find((candidate) => candidate.startsWith(`--${name}=`));
+    return arg ? arg.split("=")[1].split(",").filter(Boolean) : undefined;
+  };
+  const saltArg = args.find((arg) => arg.startsWith("--salt="));
+
+  if (files.length === 0) {
+    console.log("🔧 HAR Sanitizer - Redact Captures Before Sharing");
+    console.log("=".repeat(50));
+    console.log(
+      "Usage: node scripts/har-sanitizer.js <input.har> [output.har] [--hash] [--salt=value] [--params=a,b] [--headers=a,b] [--drop-response-bodies]"
+    );
+    console.log("");
+    console.log("  --hash                  Replace secrets with salted SHA-256 digests instead of removing them");
+    console.log("  --salt                  Fixed salt so digests match across captures (default: random per run)");
+    console.log(`  --params                Query parameters to redact (default: ${SENSITIVE_PARAMS.join(",")})`);
+    console.log(`  --headers               Headers to redact (default: ${SENSITIVE_HEADERS.join(",")})`);
+    console.log("  --drop-response-bodies  Remove response content.text; sizes are kept");
+    return;
+  }
+
+  const inputPath = files[0];
+  const outputPath = files[1] || path.join(path.dirname(inputPath), `${path.basename(inputPath, ".har")}.sanitized.har`);
+
+  const sanitizer = new HARSanitizer({
+    hash: args.includes("--hash"),
+    salt: saltArg ? saltArg.split("=")[1] : undefined,
+    params: listArg("params"),
+    headers: listArg("headers"),
+    dropResponseBodies: args.includes("--drop-response-bodies"),
+  });
+  await sanitizer.sanitizeHARFile(inputPath, outputPath);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = HARSanitizer;
@@ -0,0 +1,63 @@
+// Run with: node --test scripts/
+const test = require("node:test");
+const assert = require("node:assert");
+const HARSanitizer = require("./har-sanitizer");
+
+function http2Entry() {
+  return {
+    request: {
+      method: "GET",
+      url: "https://api.example.com/v1/me?access_token=SECRET2&fields=name",
+      httpVersion: "h2",
+      headers: [
+        { name: ":method", value: "GET" },
+        { name: ":authority", value: "user:SECRET3@api.example.com" },
+        { name: ":scheme", value: "https" },
+        { name: ":path", value: "/v1/me?access_token=SECRET2&fields=name" },
+      ],
+      queryString: [
+        { name: "access_token", value: "SECRET2" },
+        { name: "fields", value: "name" },
+      ],
+      cookies: [],
+    },
+    response: { status: 200, headers: [], cookies: [], content: { size: 0 }, redirectURL: "" },
+  };
+}
+
+function sanitizeEntry(options) {
+  const har = { log: { pages: [], entries: [http2Entry()] } };
+  new HARSanitizer(options).sanitize(har);
+  return har.log.entries[0];
+}
+
+const header = (entry, name) => entry.request.headers.find((h) => h.name === name).value;
+
+test("strips sensitive query parameters from HTTP/2 :path", () => {
+  const entry = sanitizeEntry();
+
+  assert.strictEqual(header(entry, ":path"), "/v1/me?fields=name");
+  assert.strictEqual(entry.request.url, "https://api.example.com/v1/me?fields=name");
+  assert.ok(!JSON.stringify(entry).includes("SECRET2"));
+});
+
+test("strips userinfo from HTTP/2 :authority", () => {
+  const entry = sanitizeEntry();
+
+  assert.strictEqual(header(entry, ":authority"), "api.example.com");
+  assert.ok(!JSON.stringify(entry).includes("SECRET3"));
+});
+
+test("hashes :path parameters consistently with the request URL", () => {
+  const entry = sanitizeEntry({ hash: true, salt: "fixed" });
+  const digest = new URL(entry.request.url).searchParams.get("access_token");
+
+  assert.match(digest, /^sha256:/);
+  assert.strictEqual(header(entry, ":path"), `/v1/me?access_token=${encodeURIComponent(digest)}&fields=name`);
+});
+
+test("leaves :path without sensitive parameters untouched", () => {
+  const sanitizer = new HARSanitizer();
+
+  assert.strictEqual(sanitizer.sanitizePath("/static/app.js?v=3"), "/static/app.js?v=3");
+});
@@ -0,0 +1,203 @@
+const fs = require("fs");
+
+// Parent keys whose "text" member holds a (possibly huge) body
+const BODY_CONTAINERS = ["content", "postData"];
+
+// Incremental HAR reader: scans the file chunk by chunk, hands each log.entries element to
+// onEntry as soon as it is complete and never holds more than one entry's JSON in memory.
+// Response and POST bodies are blanked while scanning unless includeBodies is set, so a
+// multi-hundred-MB capture costs roughly what its headers and timings cost.
+class HARStreamReader {
+  constructor(options = {}) {
+    this.includeBodies = options.includeBodies || false;
+    this.highWaterMark = options.highWaterMark || 1024 * 1024;
+  }
+
+  read(harFilePath, onEntry) {
+    return new Promise((resolve, reject) => {
+      if (!fs.existsSync(harFilePath)) {
+        reject(new Error(`HAR file not found: ${harFilePath}`));
+        return;
+      }
+
+      const log = {};
+      let entryCount = 0;
+      const scanner = this.createScanner({
+        onEntry: (json) => {
+          entryCount++;
+          onEntry(JSON.parse(json));
+        },
+        onLogField: (key, json) => {
+          log[key] = JSON.parse(json);
+        },
+      });
+
+      const stream = fs.createReadStream(harFilePath, { encoding: "utf8", highWaterMark: this.highWaterMark });
+      stream.on("data", (chunk) => {
+        try {
+          scanner.write(chunk);
+        } catch (error) {
+          stream.destroy();
+          reject(new Error(`Invalid HAR: ${error.message}`));
+        }
+      });
+      stream.on("error", reject);
+      stream.on("end", () => {
+        if (!scanner.isComplete()) {
+          reject(new Error("Invalid HAR: unexpected end of file"));
+          return;
+        }
+        resolve({ log, entryCount });
+      });
+    });
+  }
+
+  createScanner({ onEntry, onLogField }) {
+    const includeBodies = this.includeBodies;
+    // One frame per open object/array: its key in the parent and, for objects, the last key seen
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    let stringIsKey = false;
+    let key = "";
+    let pendingKey = null;
+    let skippingBody = false;
+    let inPrimitive = false;
+    let done = false;
+
+    // Capture of the value currently being collected (an entry or a top-level log field)
+    let capture = null;
+
+    const path = () => stack.map((frame) => frame.key);
+    const atPath = (...keys) => {
+      const current = path();
+      return current.length === keys.length && keys.every((k, i) => k === "*" || current[i] === k);
+    };
+
+    const startCapture = (kind, name, chunk, index) => {
+      capture = { kind, name, depth: stack.length, parts: [], from: index, primitive: false };
+    };
+    const finishCapture = (chunk, index) => {
+      capture.parts.push(chunk.slice(capture.from, index + 1));
+      const json = capture.parts.join("");
+      const { kind, name } = capture;
+      capture = null;
+      if (kind === "entry") onEntry(json);
+      else onLogField(name, json);
+    };
+
+    // Called when a value (object, array or primitive) begins at chunk[index]
+    const valueStarts = (chunk, index) => {
+      if (capture) return;
+      if (atPath(null, "log", "entries")) {
+        startCapture("entry", null, chunk, index);
+      } else if (stack.length === 2 && atPath(null, "log") && pendingKey !== "entries") {
+        startCapture("field", pendingKey, chunk, index);
+      }
+    };
+
+    return {
+      isComplete: () => done,
+      write(chunk) {
+        if (capture) capture.from = 0;
+
+        for (let i = 0; i < chunk.length; i++) {
+          const char = chunk[i];
+
+          if (inString) {
+            if (escaped) {
+              escaped = false;
+            } else if (char === "\\") {
+              escaped = true;
+            } else if (char === '"') {
+              inString = false;
+              if (skippingBody) {
+                // Resume the capture at the closing quote, leaving an empty string behind
+                skippingBody = false;
+                capture.from = i;
+              }
+              if (stringIsKey) {
+                pendingKey = key;
+              } else if (capture && capture.kind === "field" && capture.depth === stack.length) {
+                finishCapture(chunk, i);
+              }
+            } else if (stringIsKey) {
+              key += char;
+            }
+            continue;
+          }
+
+          // A number, true, false or null runs until the next delimiter
+          const endsPrimitive = char === "," || char === "}" || char === "]" || /\s/.test(char);
+          if (inPrimitive && endsPrimitive) {
+            inPrimitive = false;
+            if (capture && capture.primitive && capture.depth === stack.length) finishCapture(chunk, i - 1);
+          }
+
+          switch (char) {
+            case "{":
+            case "[": {
+              valueStarts(chunk, i);
+              const parent = stack[stack.length - 1];
+              stack.push({
+                key: parent && parent.type === "object" ? pendingKey : null,
+                type: char === "{" ? "object" : "array",
+                expectKey: char === "{",
+              });
+              break;
+            }
+            case "}":
+            case "]": {
+              stack.pop();
+              if (capture && capture.depth === stack.length) finishCapture(chunk, i);
+              if (stack.length === 0) done = true;
+              break;
+            }
+            case '"': {
+              const frame = stack[stack.length - 1];
+              inString = true;
+              stringIsKey = Boolean(frame && frame.type === "object" && frame.expectKey);
+              if (stringIsKey) {
+                key = "";
+                break;
+              }
+              valueStarts(chunk, i);
+              if (
+                !includeBodies &&
+                capture &&
+                pendingKey === "text" &&
+                frame.type === "object" &&
+                BODY_CONTAINERS.includes(frame.key)
+              ) {
+                // Keep the opening quote, drop everything up to the closing one
+                capture.parts.push(chunk.slice(capture.from, i + 1));
+                skippingBody = true;
+              }
+              break;
+            }
+            case ":":
+              stack[stack.length - 1].expectKey = false;
+              break;
+            case ",": {
+              const frame = stack[stack.length - 1];
+              if (frame.type === "object") frame.expectKey = true;
+              break;
+            }
+            default:
+              if (!endsPrimitive && !inPrimitive) {
+                inPrimitive = true;
+                valueStarts(chunk, i);
+                if (capture && capture.from === i && capture.depth === stack.length) capture.primitive = true;
+              }
+          }
+        }
+
+        if (capture && !skippingBody) {
+          capture.parts.push(chunk.slice(capture.from));
+        }
+      },
+    };
+  }
+}
+
+module.exports = HARStreamReader;
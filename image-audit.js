@@ -1,5 +1,18 @@
 const fs = require('fs');
 const path = require('path');
+const sharp = require('sharp');
+const ImagePipeline = require('./image-pipeline');
+
+// Used for images no image-pipeline rule resizes, unless the config has a "display" entry
+const DEFAULT_MAX_DISPLAY = { maxWidth: 1920, maxHeight: 1920 };
+// Greyscale entropy (bits, out of 8) above which an image is treated as a photo
+const PHOTO_ENTROPY = 6.5;
+// Embedded EXIF/ICC/XMP/IPTC is worth stripping past this many bytes or this share of the file
+const METADATA_BLOAT_BYTES = 8 * 1024;
+const METADATA_BLOAT_SHARE = 0.1;
+// Trial encodes use the pipeline's default quality at a faster effort; sizes come out close
+const TRIAL_WEBP = { quality: 80, effort: 4 };
+const DEFAULT_SAMPLE_SIZE = 24;
 
 function formatSize(bytes) {
   if (bytes === 0) return '0 B';
@@ -31,23 +44,146 @@ function getAllImages(dir, fileList = []) {
   return fileList;
 }
 
-function auditImages() {
+// Max display size for every image: what the first matching image-pipeline rule resizes it to,
+// otherwise the config's "display" entry (or --max-display)
+function loadDisplayLimits(maxDisplay) {
+  const pipeline = new ImagePipeline();
+  const limits = new Map();
+  let fallback = maxDisplay || DEFAULT_MAX_DISPLAY;
+
+  try {
+    const config = pipeline.loadConfig();
+    fallback = maxDisplay || config.display || DEFAULT_MAX_DISPLAY;
+    pipeline.collectSources(config.rules).forEach(({ rule, files }) => {
+      if (!rule.maxWidth && !rule.maxHeight) return;
+      files.forEach(file => limits.set(file, {
+        maxWidth: rule.maxWidth || Infinity,
+        maxHeight: rule.maxHeight || Infinity,
+        source: rule.name,
+        resizedByRule: true
+      }));
+    });
+  } catch (error) {
+    console.log(`⚠️  ${error.message}; checking every image against ${fallback.maxWidth}x${fallback.maxHeight}`);
+  }
+
+  const defaultLimit = { maxWidth: fallback.maxWidth, maxHeight: fallback.maxHeight, source: 'default', resizedByRule: false };
+  return imagePath => limits.get(path.resolve(imagePath)) || defaultLimit;
+}
+
+// Header data for every image; only images with an alpha channel are decoded, to see whether
+// the alpha is used and whether the picture is a photo
+async function inspectImage(img) {
+  const metadata = await sharp(img.path).metadata();
+  const pages = metadata.pages || 1;
+  // EXIF orientation 5-8 means the image is displayed rotated a quarter turn
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const info = {
+    width,
+    height,
+    format: metadata.format,
+    pages,
+    animated: pages > 1,
+    hasAlpha: Boolean(metadata.hasAlpha),
+    bitsPerPixel: (img.size * 8) / (width * height * pages),
+    metadataBytes: {
+      exif: metadata.exif ? metadata.exif.length : 0,
+      icc: metadata.icc ? metadata.icc.length : 0,
+      xmp: metadata.xmp ? metadata.xmp.length : 0,
+      iptc: metadata.iptc ? metadata.iptc.length : 0
+    }
+  };
+
+  if (info.hasAlpha && !info.animated) {
+    const stats = await sharp(img.path).stats();
+    info.opaque = stats.isOpaque;
+    info.photo = stats.entropy >= PHOTO_ENTROPY;
+  }
+  return info;
+}
+
+function displaySize(info, limit) {
+  const scale = Math.min(1, limit.maxWidth / info.width, limit.maxHeight / info.height);
+  return { width: Math.round(info.width * scale), height: Math.round(info.height * scale), scale };
+}
+
+// WebP bytes for the image as it would be served: resized to its display size, frames kept
+async function trialEncode(img, info, limit) {
+  let image = sharp(img.path, { animated: info.animated }).rotate();
+  if (displaySize(info, limit).scale < 1) {
+    image = image.resize(
+      Number.isFinite(limit.maxWidth) ? limit.maxWidth : null,
+      Number.isFinite(limit.maxHeight) ? limit.maxHeight : null,
+      { fit: 'inside', withoutEnlargement: true }
+    );
+  }
+  const buffer = await image.webp(TRIAL_WEBP).toBuffer();
+  return buffer.length;
+}
+
+// Evenly spaced by size within each extension, so the sample spans small and large files alike
+function pickSample(images, sampleSize) {
+  const groups = {};
+  images.forEach(img => {
+    (groups[img.extension] = groups[img.extension] || []).push(img);
+  });
+
+  return Object.values(groups).flatMap(group => {
+    const sorted = group.slice().sort((a, b) => a.size - b.size);
+    const count = Math.min(sorted.length, Math.max(1, Math.round((sampleSize * sorted.length) / images.length)));
+    return Array.from({ length: count }, (_, i) => sorted[Math.floor(((i + 0.5) * sorted.length) / count)]);
+  });
+}
+
+// Savings per extension from the sampled ratio, applied to every candidate of that extension;
+// extensions that were not sampled use the ratio over the whole sample
+function estimateSavings(candidates, trials) {
+  const ratio = list => list.reduce((sum, t) => sum + t.encoded, 0) / list.reduce((sum, t) => sum + t.original, 0);
+  const overall = trials.length > 0 ? ratio(trials) : null;
+
+  const byExtension = {};
+  candidates.forEach(img => {
+    if (!byExtension[img.extension]) {
+      const sampled = trials.filter(t => t.extension === img.extension);
+      byExtension[img.extension] = {
+        count: 0,
+        size: 0,
+        sampled: sampled.length,
+        ratio: sampled.length > 0 ? ratio(sampled) : overall
+      };
+    }
+    byExtension[img.extension].count++;
+    byExtension[img.extension].size += img.size;
+  });
+
+  let total = 0;
+  Object.values(byExtension).forEach(group => {
+    // A format the trial made bigger saves nothing; the converter would keep the original
+    group.savings = group.ratio === null ? 0 : Math.max(0, group.size * (1 - group.ratio));
+    total += group.savings;
+  });
+  return { total, byExtension, overallRatio: overall };
+}
+
+async function auditImages(options = {}) {
   console.log('🔍 COMPREHENSIVE IMAGE AUDIT');
   console.log('==============================\n');
 
   // Get all images
-  const allImages = getAllImages('public');
+  const allImages = getAllImages(options.dir || 'public');
   
   // Categorize images
   const largeImages = allImages.filter(img => img.size > 500 * 1024); // > 500KB
   const mediumImages = allImages.filter(img => img.size > 100 * 1024 && img.size <= 500 * 1024); // 100KB - 500KB
   const smallImages = allImages.filter(img => img.size <= 100 * 1024); // <= 100KB
   
+  // getAllImages does not list .webp files, so the sibling is looked up on disk
   const unoptimizedImages = allImages.filter(img => 
     ['.jpg', '.jpeg', '.png'].includes(img.extension) && 
-    !allImages.some(other => 
-      other.path === img.path.replace(/\.(jpg|jpeg|png)$/i, '.webp')
-    )
+    !fs.existsSync(img.path.replace(/\.(jpg|jpeg|png)$/i, '.webp'))
   );
 
   // Summary statistics
@@ -114,17 +250,155 @@ function auditImages() {
     console.log();
   }
 
+  // Content analysis: read every raster image's header
+  const limitFor = loadDisplayLimits(options.maxDisplay);
+  const inspected = [];
+  const unreadable = [];
+  for (const img of allImages.filter(img => img.extension !== '.svg')) {
+    try {
+      const info = await inspectImage(img);
+      inspected.push({ ...img, ...info, limit: limitFor(img.path) });
+    } catch (error) {
+      unreadable.push({ path: img.path, error: error.message });
+    }
+  }
+
+  // Sources an image-pipeline rule resizes are served at the rule's size already
+  const oversized = inspected
+    .filter(img => !img.limit.resizedByRule)
+    .map(img => ({ ...img, display: displaySize(img, img.limit) }))
+    .filter(img => img.display.scale < 1);
+  const alphaPhotos = inspected.filter(img =>
+    img.hasAlpha && img.photo && ['png', 'tiff'].includes(img.format)
+  );
+  const unusedAlpha = inspected.filter(img => img.hasAlpha && img.opaque && !img.photo);
+  const metadataBloat = inspected
+    .map(img => ({ ...img, metadataTotal: Object.values(img.metadataBytes).reduce((a, b) => a + b, 0) }))
+    .filter(img => img.metadataTotal >= METADATA_BLOAT_BYTES ||
+      (img.metadataTotal > 0 && img.metadataTotal / img.size >= METADATA_BLOAT_SHARE));
+  const animatedGifs = inspected.filter(img => img.animated && img.format === 'gif');
+
+  console.log('🖼️  PIXEL ANALYSIS');
+  console.log('=================');
+  const megapixels = inspected.reduce((sum, img) => sum + (img.width * img.height) / 1e6, 0);
+  console.log(`Images read: ${inspected.length}${unreadable.length > 0 ? ` (${unreadable.length} unreadable)` : ''}`);
+  console.log(`Total pixels: ${megapixels.toFixed(1)} MP`);
+  const formats = [...new Set(inspected.map(img => img.format))];
+  formats.forEach(format => {
+    const bpp = inspected.filter(img => img.format === format).map(img => img.bitsPerPixel).sort((a, b) => a - b);
+    console.log(`${format.padEnd(6)}: median ${bpp[Math.floor(bpp.length / 2)].toFixed(2)} bits/pixel`);
+  });
+  console.log('\nHighest bits per pixel (least compressed for their size):');
+  inspected
+    .slice()
+    .sort((a, b) => b.bitsPerPixel - a.bitsPerPixel)
+    .slice(0, 10)
+    .forEach(img => {
+      console.log(`${img.bitsPerPixel.toFixed(2).padStart(7)} bpp - ${`${img.width}x${img.height}`.padEnd(11)} ${formatSize(img.size).padStart(9)} - ${img.path}`);
+    });
+  console.log();
+
+  if (oversized.length > 0) {
+    console.log('📐 OVERSIZED FOR THEIR DISPLAY SIZE');
+    console.log('===================================');
+    oversized
+      .sort((a, b) => a.display.scale - b.display.scale)
+      .slice(0, 15)
+      .forEach(img => {
+        const unused = Math.round((1 - img.display.scale * img.display.scale) * 100);
+        console.log(`${`${img.width}x${img.height}`.padStart(11)} → ${`${img.display.width}x${img.display.height}`.padEnd(11)} ${unused}% of pixels unused - ${img.path}`);
+      });
+    console.log();
+  }
+
+  if (alphaPhotos.length > 0 || unusedAlpha.length > 0) {
+    console.log('🌓 ALPHA CHANNELS');
+    console.log('=================');
+    alphaPhotos.forEach(img => {
+      const advice = img.opaque ? 'alpha is never used: JPEG or lossy WebP' : 'lossy WebP keeps the transparency';
+      console.log(`📷 Photo stored lossless with alpha - ${img.path} (${formatSize(img.size)}; ${advice})`);
+    });
+    unusedAlpha.forEach(img => {
+      console.log(`⬜ Fully opaque alpha channel - ${img.path} (${formatSize(img.size)}; drop the alpha channel)`);
+    });
+    console.log();
+  }
+
+  if (metadataBloat.length > 0) {
+    console.log('🏷️  EMBEDDED METADATA');
+    console.log('=====================');
+    metadataBloat
+      .sort((a, b) => b.metadataTotal - a.metadataTotal)
+      .slice(0, 15)
+      .forEach(img => {
+        const parts = Object.entries(img.metadataBytes)
+          .filter(([, bytes]) => bytes > 0)
+          .map(([kind, bytes]) => `${kind.toUpperCase()} ${formatSize(bytes)}`)
+          .join(', ');
+        console.log(`${formatSize(img.metadataTotal).padStart(9)} (${Math.round((img.metadataTotal / img.size) * 100)}% of file) - ${img.path}: ${parts}`);
+      });
+    console.log();
+  }
+
+  // Trial-encode a sample of what the converter would pick up, as it would be served
+  const candidates = unoptimizedImages.concat(
+    allImages.filter(img => img.extension === '.gif' && !fs.existsSync(img.path.replace(/\.gif$/i, '.webp')))
+  );
+  const sampleSize = options.sampleSize !== undefined ? options.sampleSize : DEFAULT_SAMPLE_SIZE;
+  const trials = [];
+  const byPath = new Map(inspected.map(img => [img.path, img]));
+  const sample = sampleSize > 0 ? pickSample(candidates.filter(img => byPath.has(img.path)), sampleSize) : [];
+  if (sample.length > 0) console.log(`🧪 Trial-encoding ${sample.length} of ${candidates.length} candidate images to WebP...`);
+  for (const img of sample) {
+    const info = byPath.get(img.path);
+    try {
+      const encoded = await trialEncode(img, info, info.limit);
+      trials.push({ path: img.path, extension: img.extension, animated: info.animated, original: img.size, encoded });
+    } catch (error) {
+      console.log(`⚠️  Trial encode failed for ${img.path}: ${error.message}`);
+    }
+  }
+  const estimate = estimateSavings(candidates, trials);
+
+  if (animatedGifs.length > 0) {
+    console.log('\n🎞️  ANIMATED GIFS');
+    console.log('================');
+    animatedGifs
+      .sort((a, b) => b.size - a.size)
+      .forEach(img => {
+        const trial = trials.find(t => t.path === img.path);
+        const webp = trial ? `, animated WebP ~${formatSize(trial.encoded)}` : '';
+        console.log(`${formatSize(img.size).padStart(9)} - ${img.path} (${img.pages} frames${webp}; use <video> MP4/WebM or animated WebP)`);
+      });
+  }
+  console.log();
+
   // Optimization recommendations
   console.log('💡 OPTIMIZATION RECOMMENDATIONS');
   console.log('===============================');
   
-  const potentialSavings = unoptimizedImages
-    .filter(img => img.size > 50 * 1024)
-    .reduce((sum, img) => sum + (img.size * 0.8), 0); // Estimate 80% savings
-  
-  if (unoptimizedImages.length > 0) {
-    console.log(`• Convert ${unoptimizedImages.length} unoptimized images to WebP`);
-    console.log(`• Estimated savings: ${formatSize(potentialSavings)}`);
+  if (candidates.length > 0) {
+    console.log(`• Convert ${candidates.length} unoptimized images to WebP`);
+    if (trials.length > 0) {
+      console.log(`• Estimated savings: ${formatSize(estimate.total)} (${trials.length} images trial-encoded, ${Math.round((1 - estimate.overallRatio) * 100)}% smaller on average)`);
+      Object.entries(estimate.byExtension).forEach(([ext, group]) => {
+        console.log(`    ${ext.padEnd(6)}: ${group.count.toString().padStart(3)} files, ${formatSize(group.size)} → save ~${formatSize(group.savings)} (${group.sampled} sampled)`);
+      });
+    }
+  }
+
+  if (oversized.length > 0) {
+    console.log(`• Resize ${oversized.length} images larger than their display size (scripts/image-pipeline.config.json)`);
+  }
+  if (alphaPhotos.length > 0) {
+    console.log(`• Re-encode ${alphaPhotos.length} photos stored as lossless images with alpha`);
+  }
+  if (metadataBloat.length > 0) {
+    const metadataTotal = metadataBloat.reduce((sum, img) => sum + img.metadataTotal, 0);
+    console.log(`• Strip ${formatSize(metadataTotal)} of EXIF/ICC/XMP metadata from ${metadataBloat.length} images`);
+  }
+  if (animatedGifs.length > 0) {
+    console.log(`• Replace ${animatedGifs.length} animated GIFs with video or animated WebP`);
   }
   
   if (largeImages.length > 0) {
@@ -143,7 +417,45 @@ function auditImages() {
   console.log('• Use responsive images with different sizes');
   console.log('• Implement proper caching headers for static assets');
   
+  const reportPath = path.join(__dirname, '..', 'image-audit-report.json');
+  fs.writeFileSync(reportPath, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    totalImages,
+    totalSize,
+    images: inspected.map(({ limit, ...img }) => ({ ...img, maxDisplay: limit })),
+    unreadable,
+    oversized: oversized.map(img => img.path),
+    alphaPhotos: alphaPhotos.map(img => img.path),
+    unusedAlpha: unusedAlpha.map(img => img.path),
+    metadataBloat: metadataBloat.map(img => img.path),
+    animatedGifs: animatedGifs.map(img => img.path),
+    trials,
+    estimatedSavings: estimate
+  }, null, 2));
+  console.log(`\n📄 Report saved to: ${reportPath}`);
+
   console.log('\n✨ Image audit complete!');
 }
 
-auditImages(); 
\ No newline at end of file
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const sampleArg = args.find(arg => arg.startsWith('--sample='));
+  const displayArg = args.find(arg => arg.startsWith('--max-display='));
+  const [maxWidth, maxHeight] = displayArg ? displayArg.split('=')[1].split('x').map(Number) : [];
+
+  try {
+    await auditImages({
+      dir: args.find(arg => !arg.startsWith('--')),
+      sampleSize: sampleArg ? parseInt(sampleArg.split('=')[1], 10) : undefined,
+      maxDisplay: displayArg ? { maxWidth, maxHeight: maxHeight || maxWidth } : undefined
+    });
+  } catch (error) {
+    console.error('❌ Image audit failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
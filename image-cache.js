@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const ChangePlan = require("./change-plan");
+
+// Records, per output file, the hash of the source it was made from and a hash of the settings
+// that made it, so a re-run only re-encodes what actually changed:
+// { "version": 1, "entries": { "<output key>": { source, sourceHash, settingsKey, written, size, updatedAt, ...extra } } }
+// `written: false` remembers a decision not to write (e.g. the output would have been larger),
+// so that decision is not re-made by encoding again. Keys are whatever the owning tool uses to
+// name its outputs; the cache never interprets them. Saving and orphan removal go through the
+// owning tool's ChangePlan, so they are previewed along with its other changes.
+class ImageCache {
+  constructor(name, options = {}) {
+    this.cachePath = options.cachePath || path.join(__dirname, "..", ".image-cache", `${name}.json`);
+    this.plan = options.plan || new ChangePlan({ tool: name });
+    this.entries = {};
+    this.seen = new Set();
+
+    if (fs.existsSync(this.cachePath)) {
+      this.entries = JSON.parse(fs.readFileSync(this.cachePath, "utf8")).entries || {};
+    }
+  }
+
+  static hashFile(filePath) {
+    return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+  }
+
+  // Key order must not matter, so objects are serialized with sorted keys
+  static settingsKey(settings) {
+    const stable = (value) => {
+      if (Array.isArray(value)) return `[${value.map(stable).join(",")}]`;
+      if (value && typeof value === "object") {
+        return `{${Object.keys(value)
+          .sort()
+          .filter((key) => value[key] !== undefined)
+          .map((key) => `${JSON.stringify(key)}:${stable(value[key])}`)
+          .join(",")}}`;
+      }
+      return JSON.stringify(value);
+    };
+    return crypto.createHash("sha256").update(stable(settings)).digest("hex").substring(0, 16);
+  }
+
+  // Entries are plain data, so they can be handed to worker threads as they are. A written
+  // output must still be the file this cache wrote: another tool writing the same path (the
+  // converter and the pipeline both write <name>.webp) changes its size.
+  static isFresh(entry, sourceHash, settingsKey, outputPath) {
+    if (!entry || entry.sourceHash !== sourceHash || entry.settingsKey !== settingsKey) return false;
+    if (!entry.written) return true;
+    return fs.existsSync(outputPath) && fs.statSync(outputPath).size === entry.size;
+  }
+
+  get(key) {
+    return this.entries[key];
+  }
+
+  record(key, entry) {
+    this.entries[key] = { ...entry, updatedAt: new Date().toISOString() };
+    this.seen.add(key);
+  }
+
+  // Marks an entry as still wanted without changing it
+  touch(key) {
+    if (this.entries[key]) this.seen.add(key);
+  }
+
+  // isOrphan(key, entry, seen) decides; outputs are only deleted when this cache wrote them
+  removeOrphans(isOrphan, resolveOutput) {
+    const removed = [];
+    Object.entries(this.entries).forEach(([key, entry]) => {
+      if (!isOrphan(key, entry, this.seen.has(key))) return;
+
+      const outputPath = resolveOutput(key);
+      if (entry.written && this.plan.exists(outputPath)) {
+        this.plan.deleteFile(outputPath);
+        removed.push(key);
+      }
+      delete this.entries[key];
+    });
+    return removed;
+  }
+
+  save() {
+    this.plan.writeFile(this.cachePath, JSON.stringify({ version: 1, entries: this.entries }, null, 2));
+  }
+}
+
+module.exports = ImageCache;
@@ -0,0 +1,438 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const glob = require("glob");
+const PerceptualQuality = require("./perceptual-quality");
+const WorkerPool = require("./worker-pool");
+const ImageCache = require("./image-cache");
+const ChangePlan = require("./change-plan");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "image-pipeline.config.json");
+
+// Encoder settings every rule starts from; a rule's "encoder" object is merged over them
+const DEFAULT_ENCODERS = {
+  webp: { effort: 6 },
+  avif: { effort: 4 },
+  jxl: { effort: 7 },
+  jpeg: { mozjpeg: true },
+  png: { compressionLevel: 9 },
+};
+
+const FITS = ["cover", "contain", "fill", "inside", "outside"];
+
+// Rule format (paths are relative to the project root):
+// {
+//   "name": "team logos",                      shown in the log and report
+//   "glob": "public/teams/*.{png,jpg,jpeg}",
+//   "maxWidth": 96, "maxHeight": 96,           optional; never enlarges
+//   "fit": "inside",                           sharp fit, default "inside"
+//   "formats": ["webp"],                       written next to the source, default ["webp"]
+//   "quality": 90,                             or { "target": 0.98, "metric": "ssim", "min": 30, "max": 95 }
+//   "minSize": 204800,                         skip sources smaller than this many bytes
+//   "encoder": { "smartSubsample": true },     extra sharp options for every format
+//   "skipLarger": true                         do not write outputs that are not smaller than the source
+// }
+// A source is handled by the first rule that matches it, so size tiers are written as
+// several rules over the same glob with decreasing minSize.
+// The top-level "display": { "maxWidth", "maxHeight" } is the largest size any image is shown
+// at; image-audit.js flags images over it that no rule resizes.
+// Outputs are tracked in .image-cache/image-pipeline.json by source hash and output settings;
+// outputs no rule produces any more (source deleted, rule or format removed) are deleted.
+class ImagePipeline {
+  constructor(options = {}) {
+    this.configPath = options.configPath || DEFAULT_CONFIG_PATH;
+    this.projectRoot = options.projectRoot || path.join(__dirname, "..");
+    this.force = options.force || false;
+    this.skipLarger = options.skipLarger || false;
+    this.ruleFilter = options.rules || null;
+    this.concurrency = options.concurrency;
+    this.maxMemoryMB = options.maxMemoryMB;
+    this.plan = ChangePlan.from(options.plan, "image-pipeline");
+    this.config = null;
+    this.results = [];
+    this.errors = [];
+    this.orphans = [];
+  }
+
+  loadConfig() {
+    if (this.config) return this.config;
+    if (!fs.existsSync(this.configPath)) {
+      throw new Error(`Pipeline config not found: ${this.configPath}`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(this.configPath, "utf8"));
+    const rules = (config.rules || []).map((rule, index) => this.validateRule(rule, index));
+    this.config = { ...config, rules };
+    return this.config;
+  }
+
+  validateRule(rule, index) {
+    const name = rule.name || `rule ${index + 1}`;
+    const fail = (message) => {
+      throw new Error(`Invalid pipeline rule "${name}": ${message}`);
+    };
+
+    if (!rule.glob) fail("missing glob");
+    const formats = rule.formats || ["webp"];
+    formats.forEach((format) => {
+      if (!DEFAULT_ENCODERS[format]) fail(`unknown format "${format}" (${Object.keys(DEFAULT_ENCODERS).join(", ")})`);
+    });
+    if (rule.fit && !FITS.includes(rule.fit)) fail(`unknown fit "${rule.fit}" (${FITS.join(", ")})`);
+
+    let perceptual = null;
+    if (rule.quality && typeof rule.quality === "object") {
+      perceptual = new PerceptualQuality({
+        target: rule.quality.target,
+        metric: rule.quality.metric,
+        minQuality: rule.quality.min,
+        maxQuality: rule.quality.max,
+      });
+    }
+
+    return {
+      ...rule,
+      index,
+      name,
+      formats,
+      fit: rule.fit || "inside",
+      quality: perceptual ? null : rule.quality || 80,
+      minSize: rule.minSize || 0,
+      skipLarger: rule.skipLarger !== undefined ? rule.skipLarger : this.skipLarger,
+      perceptual,
+    };
+  }
+
+  // Every source matched by its first rule; later rules never see it. Outputs are named after
+  // the source without its extension, so hero.jpg and hero.png would overwrite each other's
+  // hero.webp (and cache entry) on every run; that is rejected as a config error.
+  collectSources(rules) {
+    const claimed = new Set();
+    const outputs = new Map();
+    const collisions = [];
+    const matches = rules.map((rule) => {
+      const files = glob
+        .sync(rule.glob, { cwd: this.projectRoot, nodir: true, nocase: true })
+        .sort()
+        .map((file) => path.join(this.projectRoot, file))
+        .filter((file) => !claimed.has(file))
+        .filter((file) => !rule.formats.includes(path.extname(file).slice(1).toLowerCase()))
+        .filter((file) => fs.statSync(file).size >= rule.minSize);
+
+      files.forEach((file) => {
+        claimed.add(file);
+        rule.formats.forEach((format) => {
+          const output = this.outputPath(file, format);
+          const other = outputs.get(output);
+          if (other && other !== file) collisions.push(`${path.relative(this.projectRoot, other)} and ${path.relative(this.projectRoot, file)}`);
+          outputs.set(output, file);
+        });
+      });
+      return { rule, files };
+    });
+
+    if (collisions.length > 0) {
+      throw new Error(
+        `Sources differing only by extension would share outputs: ${[...new Set(collisions)].join("; ")}. Rename one of each pair or narrow the rule globs.`
+      );
+    }
+    return matches;
+  }
+
+  outputPath(sourcePath, format) {
+    const parsed = path.parse(sourcePath);
+    return path.join(parsed.dir, `${parsed.name}.${format}`);
+  }
+
+  // Everything that changes the bytes of an output, and nothing that only changes which sources match
+  settingsKey(rule, format) {
+    return ImageCache.settingsKey({
+      format,
+      maxWidth: rule.maxWidth,
+      maxHeight: rule.maxHeight,
+      fit: rule.fit,
+      quality: rule.perceptual ? { ...rule.perceptual } : rule.quality,
+      encoder: { ...DEFAULT_ENCODERS[format], ...rule.encoder },
+      skipLarger: rule.skipLarger,
+    });
+  }
+
+  resize(sourcePath, rule) {
+    const image = sharp(sourcePath);
+    if (!rule.maxWidth && !rule.maxHeight) return image;
+
+    return image.resize(rule.maxWidth || null, rule.maxHeight || null, {
+      fit: rule.fit,
+      withoutEnlargement: true,
+    });
+  }
+
+  async encode(sourcePath, rule, format) {
+    const settings = { ...DEFAULT_ENCODERS[format], ...rule.encoder };
+    if (!rule.perceptual) {
+      const buffer = await this.resize(sourcePath, rule)[format]({ ...settings, quality: rule.quality }).toBuffer();
+      return { buffer, quality: rule.quality };
+    }
+
+    // Compare against the image as it will be displayed, i.e. after resizing
+    const reference = rule.maxWidth || rule.maxHeight ? await this.resize(sourcePath, rule).png().toBuffer() : sourcePath;
+    const result = await rule.perceptual.findQuality(reference, (quality) =>
+      this.resize(sourcePath, rule)[format]({ ...settings, quality }).toBuffer()
+    );
+    return { buffer: result.buffer, quality: result.quality, score: result.score, targetMet: result.targetMet };
+  }
+
+  // Runs on a worker; each worker loads the config itself, so only the rule index travels.
+  // cached: this source's cache entries by format, as read on the main thread
+  async processSource(sourcePath, ruleIndex, cached = {}) {
+    const rule = this.loadConfig().rules[ruleIndex];
+    const relativePath = path.relative(this.projectRoot, sourcePath);
+    const originalSize = fs.statSync(sourcePath).size;
+    const sourceHash = ImageCache.hashFile(sourcePath);
+    const results = [];
+    const errors = [];
+
+    for (const format of rule.formats) {
+      const outputPath = this.outputPath(sourcePath, format);
+      const output = path.relative(this.projectRoot, outputPath);
+      const settingsKey = this.settingsKey(rule, format);
+      const cacheEntry = { source: relativePath, sourceHash, settingsKey, rule: rule.name };
+
+      if (!this.force && ImageCache.isFresh(cached[format], sourceHash, settingsKey, outputPath)) {
+        results.push({ rule: rule.name, source: relativePath, output, format, skipped: true });
+        continue;
+      }
+
+      try {
+        const { buffer, quality, score, targetMet } = await this.encode(sourcePath, rule, format);
+
+        if (rule.skipLarger && buffer.length >= originalSize) {
+          // An output this pipeline wrote earlier would now be stale, so it goes too
+          if (cached[format] && cached[format].written && fs.existsSync(outputPath)) this.plan.deleteFile(outputPath);
+          console.log(`⏭️  ${relativePath} → ${format}: ${(buffer.length / 1024).toFixed(1)}KB is not smaller than the source, not written`);
+          results.push({
+            rule: rule.name,
+            source: relativePath,
+            output,
+            format,
+            discarded: "not smaller than source",
+            originalSize,
+            outputSize: buffer.length,
+            cache: { ...cacheEntry, written: false, size: buffer.length },
+          });
+          continue;
+        }
+
+        this.plan.writeFile(outputPath, buffer);
+
+        const savings = ((originalSize - buffer.length) / originalSize) * 100;
+        const scored = score !== undefined ? `, ${rule.perceptual.metric} ${score.toFixed(4)}${targetMet ? "" : " below target"}` : "";
+        console.log(
+          `✅ ${relativePath} → ${format}: ${(originalSize / 1024).toFixed(1)}KB → ${(buffer.length / 1024).toFixed(1)}KB ` +
+            `(${savings.toFixed(1)}% saved, q${quality}${scored})`
+        );
+
+        results.push({
+          rule: rule.name,
+          source: relativePath,
+          output,
+          format,
+          originalSize,
+          outputSize: buffer.length,
+          quality,
+          score: score !== undefined ? Math.round(score * 10000) / 10000 : undefined,
+          targetMet,
+          cache: { ...cacheEntry, written: true, size: buffer.length, quality },
+        });
+      } catch (error) {
+        console.error(`❌ Error optimizing ${relativePath} (${format}):`, error.message);
+        errors.push({ rule: rule.name, source: relativePath, format, error: error.message });
+      }
+    }
+
+    return { results, errors, operations: this.plan.drain() };
+  }
+
+  async run() {
+    console.log("🚀 Starting image pipeline...");
+    console.log(`📄 Config: ${this.configPath}`);
+
+    const config = this.loadConfig();
+    const rules = this.ruleFilter ? config.rules.filter((rule) => this.ruleFilter.includes(rule.name)) : config.rules;
+    if (this.ruleFilter && rules.length === 0) {
+      throw new Error(`No rules named ${this.ruleFilter.join(", ")} in ${this.configPath}`);
+    }
+
+    // Sources are claimed against every rule so --rule cannot re-process files owned by an earlier one
+    const matches = this.collectSources(config.rules).filter(({ rule }) => rules.includes(rule));
+
+    const cache = new ImageCache("image-pipeline", { plan: this.plan });
+    const cachedFor = (file, rule) =>
+      Object.fromEntries(
+        rule.formats.map((format) => [format, cache.get(path.relative(this.projectRoot, this.outputPath(file, format)))])
+      );
+
+    const tasks = [];
+    for (const { rule, files } of matches) {
+      const quality = rule.perceptual ? rule.perceptual.describe() : `quality ${rule.quality}`;
+      const size = rule.maxWidth || rule.maxHeight ? `, max ${rule.maxWidth || "auto"}x${rule.maxHeight || "auto"} ${rule.fit}` : "";
+      console.log(`📁 ${rule.name}: ${files.length} image(s) (${rule.formats.join(", ")}, ${quality}${size})`);
+      files.forEach((file) => tasks.push([file, rule.index, cachedFor(file, rule)]));
+    }
+    console.log("");
+
+    const pool = new WorkerPool({
+      modulePath: __filename,
+      options: {
+        configPath: this.configPath,
+        projectRoot: this.projectRoot,
+        force: this.force,
+        skipLarger: this.skipLarger,
+        plan: this.plan.workerOptions(),
+      },
+      concurrency: this.concurrency,
+      maxMemoryMB: this.maxMemoryMB,
+      label: "Optimizing",
+    });
+    const outcomes = await pool.map("processSource", tasks, ([file]) => path.relative(this.projectRoot, file));
+
+    // Collected in task order so the report does not depend on which worker finished first
+    outcomes.forEach((outcome, index) => {
+      const [file, ruleIndex] = tasks[index];
+      const rule = config.rules[ruleIndex];
+      // Whatever was there before a failure stays until the source can be processed again
+      rule.formats.forEach((format) => cache.touch(path.relative(this.projectRoot, this.outputPath(file, format))));
+
+      if (outcome.error) {
+        const source = path.relative(this.projectRoot, file);
+        console.error(`❌ Error optimizing ${source}:`, outcome.error);
+        this.errors.push({ rule: rule.name, source, error: outcome.error });
+        return;
+      }
+      this.plan.adopt(outcome.result.operations);
+      outcome.result.results.forEach(({ cache: entry, ...result }) => {
+        if (entry) cache.record(result.output, entry);
+        this.results.push(result);
+      });
+      this.errors.push(...outcome.result.errors);
+    });
+
+    // With --rule, only the selected rules' outputs are known to be current
+    const ruleNames = rules.map((rule) => rule.name);
+    const orphans = cache.removeOrphans(
+      (key, entry, seen) =>
+        !seen && (!this.ruleFilter || ruleNames.includes(entry.rule) || !this.plan.exists(path.join(this.projectRoot, entry.source))),
+      (key) => path.join(this.projectRoot, key)
+    );
+    orphans.forEach((output) => console.log(`🧹 Removed orphaned output: ${output}`));
+    this.orphans = orphans;
+    cache.save();
+
+    this.generateReport(matches);
+  }
+
+  generateReport(matches) {
+    const written = this.results.filter((result) => !result.skipped && !result.discarded);
+    const skipped = this.results.filter((result) => result.skipped).length;
+    const discarded = this.results.filter((result) => result.discarded).length;
+    const originalTotal = written.reduce((sum, result) => sum + result.originalSize, 0);
+    const outputTotal = written.reduce((sum, result) => sum + result.outputSize, 0);
+
+    console.log("\n📊 IMAGE PIPELINE SUMMARY");
+    console.log("=".repeat(50));
+    matches.forEach(({ rule }) => {
+      const ruleResults = written.filter((result) => result.rule === rule.name);
+      const before = ruleResults.reduce((sum, result) => sum + result.originalSize, 0);
+      const after = ruleResults.reduce((sum, result) => sum + result.outputSize, 0);
+      console.log(
+        `   ${rule.name.padEnd(24)} ${String(ruleResults.length).padStart(4)} written  ` +
+          `${(before / 1024).toFixed(1)}KB → ${(after / 1024).toFixed(1)}KB`
+      );
+    });
+    console.log("-".repeat(50));
+    console.log(`Outputs written: ${written.length}`);
+    console.log(`Up to date (skipped): ${skipped}`);
+    if (discarded > 0) console.log(`Not smaller than source (not written): ${discarded}`);
+    console.log(`Orphaned outputs removed: ${this.orphans.length}`);
+    if (originalTotal > 0) {
+      const savings = (((originalTotal - outputTotal) / originalTotal) * 100).toFixed(1);
+      console.log(`Total: ${(originalTotal / 1024 / 1024).toFixed(2)}MB → ${(outputTotal / 1024 / 1024).toFixed(2)}MB (${savings}% saved)`);
+    }
+    console.log(`Errors: ${this.errors.length}`);
+
+    const reportPath = path.join(__dirname, "..", "image-pipeline-report.json");
+    this.plan.writeFile(
+      reportPath,
+      JSON.stringify(
+        {
+          timestamp: new Date().toISOString(),
+          config: this.configPath,
+          written: written.length,
+          skipped,
+          discarded,
+          orphansRemoved: this.orphans,
+          originalTotal,
+          outputTotal,
+          results: this.results,
+          errors: this.errors,
+        },
+        null,
+        2
+      )
+    );
+    console.log(`\n📄 Report saved to: ${reportPath}`);
+  }
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const arg = args.find((candidate) => candidate.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+
+  if (args.includes("--help")) {
+    console.log("🔧 Image Pipeline - Rule-Driven Image Optimization");
+    console.log("=".repeat(50));
+    console.log(
+      'Usage: node scripts/image-pipeline.js [--config=file.json] [--rule="team logos"] [--force] [--skip-larger] [--concurrency=N] [--max-memory=MB] [--dry-run] [--plan=file.json]'
+    );
+    console.log("");
+    console.log("  --config  Rules file (default: scripts/image-pipeline.config.json)");
+    console.log("  --rule    Only run the named rule(s), comma separated");
+    console.log("  --force   Re-encode even when the source and settings match the cache");
+    console.log("  --skip-larger  Do not write outputs that are not smaller than their source (rules can override)");
+    console.log("  --concurrency  Worker threads (default: CPU count)");
+    console.log("  --max-memory   Stop starting new images above this process RSS in MB");
+    console.log("  --dry-run Print what would be written and deleted without touching anything");
+    console.log("  --plan    Like --dry-run, and save the plan for: node scripts/change-plan.js apply <file>");
+    return;
+  }
+
+  const pipeline = new ImagePipeline({
+    configPath: option("config") ? path.resolve(option("config")) : undefined,
+    rules: option("rule") ? option("rule").split(",") : undefined,
+    force: args.includes("--force"),
+    skipLarger: args.includes("--skip-larger"),
+    concurrency: option("concurrency") ? parseInt(option("concurrency"), 10) : undefined,
+    maxMemoryMB: option("max-memory") ? parseInt(option("max-memory"), 10) : undefined,
+    plan: ChangePlan.fromArgs("image-pipeline", args),
+  });
+
+  try {
+    await pipeline.run();
+    pipeline.plan.finish();
+    if (!pipeline.plan.dryRun) console.log("\n✨ Image pipeline complete!");
+  } catch (error) {
+    console.error("❌ Image pipeline failed:", error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = ImagePipeline;
@@ -12,6 +12,7 @@ echo ""
 # Set script directory
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PROJECT_ROOT="$(dirname "$SCRIPT_DIR")"
+SITE_URL="${SITE_URL:-http://localhost:3000}"
 
 # Function to check if node modules are installed
 check_dependencies() {
@@ -34,30 +35,46 @@ check_dependencies() {
         npm install glob
     fi
     
+    if ! npm list psl >/dev/null 2>&1; then
+        echo "🌍 Installing psl (Public Suffix List) for third-party grouping..."
+        npm install psl
+    fi
+    
+    if ! npm list puppeteer >/dev/null 2>&1; then
+        echo "🌐 Installing Puppeteer for HAR capture..."
+        npm install puppeteer
+    fi
+    
     echo "✅ Dependencies ready"
 }
 
-# Function to backup original files
+# Function to explain how runs are backed up
 backup_files() {
-    echo "💾 Creating backup of original files..."
-    
-    BACKUP_DIR="$PROJECT_ROOT/backups/pre-optimization-$(date +%Y%m%d-%H%M%S)"
-    mkdir -p "$BACKUP_DIR"
-    
-    # Backup nginx config if exists
-    if [ -f "$PROJECT_ROOT/nginx.conf" ]; then
-        cp "$PROJECT_ROOT/nginx.conf" "$BACKUP_DIR/nginx.conf.backup"
+    echo "💾 Every file and database row the tools change is snapshotted first"
+    echo "   Runs are journaled in $PROJECT_ROOT/.optimizer-runs/ (list them with: $0 runs)"
+}
+
+# Function to list journaled runs
+list_runs() {
+    cd "$SCRIPT_DIR"
+    node run-journal.js list
+}
+
+# Function to undo one journaled run
+rollback_run() {
+    if [ -z "${1:-}" ]; then
+        echo "❌ Usage: $0 rollback <run-id> [--dry-run] [--force]"
+        list_runs
+        exit 1
     fi
-    
-    # Backup next config
-    if [ -f "$PROJECT_ROOT/next.config.js" ]; then
-        cp "$PROJECT_ROOT/next.config.js" "$BACKUP_DIR/next.config.js.backup"
+
+    cd "$SCRIPT_DIR"
+    if node run-journal.js rollback "$@"; then
+        echo "✅ Rolled back $1"
+    else
+        echo "❌ Rollback failed - check the logs above"
+        exit 1
     fi
-    
-    # Create image inventory before conversion
-    find "$PROJECT_ROOT/public" -type f \( -iname "*.jpg" -o -iname "*.jpeg" -o -iname "*.png" \) > "$BACKUP_DIR/original-images-list.txt" 2>/dev/null || true
-    
-    echo "✅ Backup created at: $BACKUP_DIR"
 }
 
 # Function to run WebP conversion
@@ -65,7 +82,7 @@ run_webp_conversion() {
     echo ""
     echo "📸 Step 1: Converting all images to WebP format..."
     echo "   This will significantly reduce image file sizes (60-80% reduction)"
-    echo "   Original files will be removed after successful conversion"
+    echo "   Original files are kept next to the WebP files (pass --archive-originals to move them to image-archive/)"
     echo ""
     
     cd "$SCRIPT_DIR"
@@ -96,19 +113,19 @@ run_full_optimization() {
 # Function to analyze current performance
 analyze_performance() {
     echo ""
-    echo "📊 Step 3: Performance Analysis Instructions"
-    echo "=========================================="
-    echo ""
-    echo "To analyze your website's performance gaps:"
+    echo "📊 Step 3: Performance Analysis"
+    echo "==============================="
     echo ""
-    echo "1. 🌐 Open Chrome and navigate to your website"
-    echo "2. 🔧 Open DevTools (F12) and go to Network tab"
-    echo "3. 🔄 Reload the page to capture all network requests"
-    echo "4. 💾 Right-click in Network tab → 'Save all as HAR'"
-    echo "5. 📁 Save as: $PROJECT_ROOT/website-performance.har"
-    echo "6. 🔍 Run: node scripts/har-analyzer.js website-performance.har"
+    echo "   Recording a HAR of ${SITE_URL} with headless Chromium..."
     echo ""
-    echo "This will identify specific performance gaps and bottlenecks."
+
+    cd "$SCRIPT_DIR"
+    if node har-capture.js "$SITE_URL" --output="$PROJECT_ROOT/website-performance.har"; then
+        node har-analyzer.js "$PROJECT_ROOT/website-performance.har"
+    else
+        echo "❌ HAR capture failed - is the site running on ${SITE_URL}?"
+        echo "   Retry with: node scripts/har-capture.js <url> --output=website-performance.har"
+    fi
 }
 
 # Function to show next steps
@@ -132,7 +149,11 @@ show_next_steps() {
     echo "   - Use HAR analyzer to check loading gaps"
     echo "   - Monitor real user metrics"
     echo ""
-    echo "4. 🔧 Additional optimizations if needed:"
+    echo "4. ↩️  Undo a step if something looks wrong:"
+    echo "   - $0 runs"
+    echo "   - $0 rollback <run-id>"
+    echo ""
+    echo "5. 🔧 Additional optimizations if needed:"
     echo "   - Implement critical CSS inlining"
     echo "   - Add resource preloading hints"
     echo "   - Consider server-side rendering optimization"
@@ -191,18 +212,27 @@ case "${1:-}" in
         run_webp_conversion
         ;;
     "analyze-only")
-        echo "📊 Showing analysis instructions only..."
+        echo "📊 Running performance analysis only..."
         analyze_performance
         ;;
+    "runs")
+        list_runs
+        ;;
+    "rollback")
+        shift
+        rollback_run "$@"
+        ;;
     "full"|"")
         main
         ;;
     *)
-        echo "Usage: $0 [webp-only|analyze-only|full]"
+        echo "Usage: $0 [webp-only|analyze-only|full|runs|rollback <run-id>]"
         echo ""
         echo "  webp-only    - Convert images to WebP only"
-        echo "  analyze-only - Show HAR analysis instructions only" 
+        echo "  analyze-only - Capture and analyze a HAR of \$SITE_URL only"
         echo "  full         - Run complete optimization (default)"
+        echo "  runs         - List journaled tool runs"
+        echo "  rollback     - Restore everything one run changed (--dry-run to preview)"
         exit 1
         ;;
 esac 
\ No newline at end of file
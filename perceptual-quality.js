@@ -0,0 +1,144 @@
+const sharp = require("sharp");
+
+// SSIM constants for 8-bit samples: (0.01 * 255)^2 and (0.03 * 255)^2
+const C1 = 6.5025;
+const C2 = 58.5225;
+const BLOCK_SIZE = 8;
+
+// "ssim" averages every block; "ssim-worst" averages the worst 1% of blocks, which like
+// butteraugli's max distance catches a ruined face or logo that a good background would hide
+const METRICS = ["ssim", "ssim-worst"];
+
+// Finds the lowest encoder quality whose output still scores at least `target` against the
+// reference. Quality is assumed monotonic, so a binary search over [minQuality, maxQuality]
+// needs about log2(range) trial encodes per image.
+class PerceptualQuality {
+  constructor(options = {}) {
+    this.target = options.target !== undefined ? options.target : 0.98;
+    this.metric = options.metric || "ssim";
+    this.minQuality = options.minQuality || 30;
+    this.maxQuality = options.maxQuality || 95;
+
+    if (!METRICS.includes(this.metric)) {
+      throw new Error(`Unknown quality metric "${this.metric}" (${METRICS.join(", ")})`);
+    }
+    if (!(this.target > 0 && this.target <= 1)) {
+      throw new Error(`Target score must be between 0 and 1, got ${this.target}`);
+    }
+  }
+
+  // Luma plane of an image, composited on white so transparent pixels compare equal
+  async decode(input, size) {
+    let image = sharp(input).flatten({ background: "#ffffff" }).greyscale();
+    if (size) image = image.resize(size.width, size.height, { fit: "fill" });
+    const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, channels: info.channels };
+  }
+
+  // Per-block SSIM over non-overlapping 8x8 windows of the luma plane
+  blockScores(reference, candidate) {
+    const { width, height, channels } = reference;
+    const scores = [];
+
+    for (let blockY = 0; blockY + BLOCK_SIZE <= height; blockY += BLOCK_SIZE) {
+      for (let blockX = 0; blockX + BLOCK_SIZE <= width; blockX += BLOCK_SIZE) {
+        let sumA = 0;
+        let sumB = 0;
+        let sumAA = 0;
+        let sumBB = 0;
+        let sumAB = 0;
+
+        for (let y = blockY; y < blockY + BLOCK_SIZE; y++) {
+          for (let x = blockX; x < blockX + BLOCK_SIZE; x++) {
+            const a = reference.data[(y * width + x) * channels];
+            const b = candidate.data[(y * width + x) * candidate.channels];
+            sumA += a;
+            sumB += b;
+            sumAA += a * a;
+            sumBB += b * b;
+            sumAB += a * b;
+          }
+        }
+
+        const n = BLOCK_SIZE * BLOCK_SIZE;
+        const meanA = sumA / n;
+        const meanB = sumB / n;
+        const varianceA = sumAA / n - meanA * meanA;
+        const varianceB = sumBB / n - meanB * meanB;
+        const covariance = sumAB / n - meanA * meanB;
+
+        scores.push(
+          ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+            ((meanA * meanA + meanB * meanB + C1) * (varianceA + varianceB + C2))
+        );
+      }
+    }
+
+    return scores;
+  }
+
+  compare(reference, candidate) {
+    const scores = this.blockScores(reference, candidate);
+    // Images smaller than one block cannot be told apart by this metric
+    if (scores.length === 0) return 1;
+
+    if (this.metric === "ssim-worst") {
+      const worst = scores.sort((a, b) => a - b).slice(0, Math.max(1, Math.ceil(scores.length / 100)));
+      return worst.reduce((sum, score) => sum + score, 0) / worst.length;
+    }
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+
+  // source: path or buffer of the image as it should look (already resized, if the output is)
+  // encode(quality): resolves to the encoded buffer at that quality
+  async findQuality(source, encode) {
+    const reference = await this.decode(source);
+    const size = { width: reference.width, height: reference.height };
+    const trials = [];
+
+    const trial = async (quality) => {
+      const buffer = await encode(quality);
+      const score = this.compare(reference, await this.decode(buffer, size));
+      trials.push({ quality, score: Math.round(score * 10000) / 10000, size: buffer.length });
+      return { quality, score, buffer };
+    };
+
+    let low = this.minQuality;
+    let high = this.maxQuality;
+    // Even the highest quality may miss the target (noise, fine text); it is still the best we have
+    let best = await trial(high);
+    if (best.score < this.target) {
+      return { ...best, targetMet: false, trials };
+    }
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const result = await trial(middle);
+      if (result.score >= this.target) {
+        best = result;
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+
+    return { ...best, targetMet: true, trials };
+  }
+
+  describe() {
+    return `${this.metric} ≥ ${this.target} (quality ${this.minQuality}-${this.maxQuality})`;
+  }
+
+  // Reads --target-ssim=0.98 and --quality-metric=ssim-worst; null when the flag is absent
+  static fromArgs(args) {
+    const option = (name) => {
+      const arg = args.find((candidate) => candidate.startsWith(`--${name}=`));
+      return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    if (option("target-ssim") === undefined) return null;
+    return new PerceptualQuality({ target: parseFloat(option("target-ssim")), metric: option("quality-metric") });
+  }
+}
+
+module.exports = PerceptualQuality;
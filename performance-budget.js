@@ -0,0 +1,161 @@
+const fs = require("fs");
+
+// Budget file format (all limits optional, bytes are transferred bytes):
+// {
+//   "loadTime": 2000,                    // ms, per page (onLoad when the HAR has it)
+//   "maxGap": 200,                       // ms, longest idle gap in a page's waterfall
+//   "maxAssetSize": 512000,              // largest single response
+//   "total": { "bytes": 2000000, "requests": 80 },
+//   "resourceTypes": { "js": { "bytes": 400000, "requests": 20 }, "image": { "bytes": 1000000 } },
+//   "thresholds": { "slowRequest": 100, "largeFile": 512000, "gap": 50, "criticalGap": 200, "rscChainGap": 200 },
+//   "paths": [
+//     { "pattern": "/_next/static/**", "maxAssetSize": 250000, "resourceTypes": { "js": { "bytes": 300000 } } },
+//     { "pattern": "/news/**", "loadTime": 1500 }
+//   ]
+// }
+// Inside "paths", request budgets only count requests whose path matches the pattern and
+// page budgets (loadTime, maxGap) only apply to pages whose URL matches it.
+
+class PerformanceBudget {
+  constructor(budget) {
+    this.budget = budget;
+  }
+
+  static load(budgetPath) {
+    if (!fs.existsSync(budgetPath)) {
+      throw new Error(`Budget file not found: ${budgetPath}`);
+    }
+
+    return new PerformanceBudget(JSON.parse(fs.readFileSync(budgetPath, "utf8")));
+  }
+
+  get loadTime() {
+    return this.budget.loadTime;
+  }
+
+  get thresholds() {
+    return this.budget.thresholds || {};
+  }
+
+  patternToRegExp(pattern) {
+    // "**" crosses path segments, "*" stays within one
+    const source = pattern
+      .split("**")
+      .map((part) =>
+        part
+          .split("*")
+          .map((literal) => literal.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join("[^/]*")
+      )
+      .join(".*");
+    return new RegExp(`^${source}$`);
+  }
+
+  getPath(url) {
+    try {
+      return new URL(url).pathname;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  // The URL the page navigated to: its first HTML document (Chrome's _resourceType when present).
+  // Only Chrome and har-capture put that URL in page.title, so the title is the last resort.
+  getPageUrl(analyzer, page) {
+    const documents = page.entries
+      .filter((entry) =>
+        entry._resourceType ? entry._resourceType === "document" : analyzer.getResourceType(entry) === "html"
+      )
+      .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+    return documents.length > 0 ? documents[0].request.url : page.title;
+  }
+
+  // Longest stretch with no request in flight, from the page's own entries. The analyzer's
+  // performanceGaps only lists gaps above thresholds.gap, so it cannot check a tighter budget.
+  longestGap(entries) {
+    const timeline = entries
+      .map((entry) => {
+        const start = new Date(entry.startedDateTime).getTime();
+        return { start, end: start + entry.time };
+      })
+      .sort((a, b) => a.start - b.start);
+
+    let longest = 0;
+    let busyUntil = timeline.length > 0 ? timeline[0].end : 0;
+    timeline.slice(1).forEach(({ start, end }) => {
+      longest = Math.max(longest, start - busyUntil);
+      busyUntil = Math.max(busyUntil, end);
+    });
+    return longest;
+  }
+
+  evaluate(analyzer, pages) {
+    const results = [];
+    const scopes = [{ pattern: null, limits: this.budget }].concat(
+      (this.budget.paths || []).map((scope) => ({ pattern: scope.pattern, limits: scope }))
+    );
+
+    pages.forEach((page) => {
+      const report = analyzer.analysisReport.pages.find((pageReport) => pageReport.id === page.id);
+      const pagePath = this.getPath(this.getPageUrl(analyzer, page));
+      const longestGap = Math.round(this.longestGap(page.entries));
+
+      scopes.forEach(({ pattern, limits }) => {
+        const matcher = pattern ? this.patternToRegExp(pattern) : null;
+        const entries = matcher ? page.entries.filter((entry) => matcher.test(this.getPath(entry.request.url))) : page.entries;
+        const pageMatches = !matcher || matcher.test(pagePath);
+        const check = (name, limit, actual, unit) => {
+          if (typeof limit !== "number") return;
+          results.push({ page: page.title, scope: pattern, budget: name, limit, actual, unit, passed: actual <= limit });
+        };
+
+        if (pageMatches) {
+          check("load time", limits.loadTime, Math.round(report.loadTime), "ms");
+          check("max gap", limits.maxGap, longestGap, "ms");
+        }
+
+        if (entries.length === 0) return;
+
+        const sizes = entries.map((entry) => analyzer.getTransferSize(entry));
+        check("max asset size", limits.maxAssetSize, sizes.reduce((max, size) => Math.max(max, size), 0), "bytes");
+
+        if (limits.total) {
+          check("total bytes", limits.total.bytes, sizes.reduce((sum, size) => sum + size, 0), "bytes");
+          check("total requests", limits.total.requests, entries.length, "requests");
+        }
+
+        Object.entries(limits.resourceTypes || {}).forEach(([type, typeLimits]) => {
+          const typed = entries.filter((entry) => analyzer.getResourceType(entry) === type);
+          const bytes = typed.reduce((sum, entry) => sum + analyzer.getTransferSize(entry), 0);
+          check(`${type} bytes`, typeLimits.bytes, bytes, "bytes");
+          check(`${type} requests`, typeLimits.requests, typed.length, "requests");
+        });
+      });
+    });
+
+    return results;
+  }
+
+  printResults(results, formatBytes) {
+    const format = (value, unit) => (unit === "bytes" ? formatBytes(value) : `${value}${unit === "ms" ? "ms" : ""}`);
+    const failed = results.filter((result) => !result.passed);
+
+    console.log("\n💰 PERFORMANCE BUDGETS:");
+    console.log("-".repeat(80));
+    results.forEach((result) => {
+      const scope = result.scope ? ` [${result.scope}]` : "";
+      console.log(
+        `   ${result.passed ? "✅" : "❌"} ${`${result.budget}${scope}`.padEnd(40)} ` +
+          `${format(result.actual, result.unit)} / ${format(result.limit, result.unit)}  (${result.page.substring(0, 40)})`
+      );
+    });
+    console.log("-".repeat(80));
+    console.log(
+      failed.length === 0
+        ? `   ✅ All ${results.length} budgets met`
+        : `   ❌ ${failed.length} of ${results.length} budgets exceeded`
+    );
+  }
+}
+
+module.exports = PerformanceBudget;
@@ -0,0 +1,55 @@
+// Run with: node --test scripts/
+const test = require("node:test");
+const assert = require("node:assert");
+const HARAnalyzer = require("./har-analyzer");
+const PerformanceBudget = require("./performance-budget");
+
+const START = Date.parse("2026-01-01T00:00:00.000Z");
+
+function entry(url, startOffset, time, mimeType = "application/javascript") {
+  return {
+    pageref: "page_1",
+    startedDateTime: new Date(START + startOffset).toISOString(),
+    time,
+    request: { method: "GET", url, headers: [] },
+    response: { status: 200, headers: [], content: { size: 1000, mimeType } },
+  };
+}
+
+// Two 40ms idle gaps: 100→140 and 240→280; the overlapping request in between is not a gap
+function pageWithGaps() {
+  const grouper = HARAnalyzer.createPageGrouper();
+  grouper.setPages([{ id: "page_1", title: "https://example.com/", startedDateTime: new Date(START).toISOString() }]);
+  [
+    entry("https://example.com/", 0, 100, "text/html"),
+    entry("https://example.com/a.js", 140, 100),
+    entry("https://example.com/b.js", 150, 60),
+    entry("https://example.com/c.js", 280, 20),
+  ].forEach((e) => grouper.add(e));
+  return grouper.pages();
+}
+
+function evaluate(budget) {
+  const pages = pageWithGaps();
+  const analyzer = new HARAnalyzer({ quiet: true });
+  analyzer.analysisReport.pages = [{ id: "page_1", loadTime: 300, performanceGaps: [] }];
+  return new PerformanceBudget(budget).evaluate(analyzer, pages).find((result) => result.budget === "max gap");
+}
+
+test("longest gap ignores time covered by overlapping requests", () => {
+  assert.strictEqual(new PerformanceBudget({}).longestGap(pageWithGaps()[0].entries), 40);
+});
+
+test("max gap budget below the analyzer's gap threshold still fails", () => {
+  const result = evaluate({ maxGap: 30 });
+
+  assert.strictEqual(result.actual, 40);
+  assert.strictEqual(result.passed, false);
+});
+
+test("max gap budget above the longest gap passes", () => {
+  const result = evaluate({ maxGap: 50 });
+
+  assert.strictEqual(result.actual, 40);
+  assert.strictEqual(result.passed, true);
+});
@@ -1,7 +1,9 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
+const PerformanceScore = require('./performance-score');
+const ResultsStore = require('./results-store');
 
-async function testPerformance() {
+async function testPerformance(options = {}) {
   console.log('🔍 Starting performance test...\n');
   
   const browser = await puppeteer.launch({
@@ -124,24 +126,28 @@ async function testPerformance() {
       }
     };
     
+    // Performance rating
+    const scorer = options.scorer || new PerformanceScore();
+    const imageRequests = imageErrors.length + imageLoads.length;
+    results.grade = scorer.score({
+      loadTime,
+      imageFailureRate: imageRequests > 0 ? imageErrors.length / imageRequests : undefined
+    });
+    scorer.printResult(results.grade);
+    
     // Save results
     fs.writeFileSync('performance-test-results.json', JSON.stringify(results, null, 2));
     console.log(`\n💾 Results saved to: performance-test-results.json`);
     
-    // Performance rating
-    if (loadTime < 2000 && imageErrors.length === 0) {
-      console.log('\n🎉 EXCELLENT PERFORMANCE! 🚀');
-      console.log('   ✅ Load time under 2 seconds');
-      console.log('   ✅ No image errors');
-    } else if (loadTime < 5000 && imageErrors.length < 3) {
-      console.log('\n👍 GOOD PERFORMANCE!');
-      if (loadTime >= 2000) console.log('   ⚠️  Load time could be improved');
-      if (imageErrors.length > 0) console.log(`   ⚠️  ${imageErrors.length} image error(s) found`);
-    } else {
-      console.log('\n⚠️  PERFORMANCE NEEDS IMPROVEMENT');
-      if (loadTime >= 5000) console.log('   ❌ Load time too slow');
-      if (imageErrors.length >= 3) console.log(`   ❌ Too many image errors (${imageErrors.length})`);
-    }
+    new ResultsStore().record('performance-monitor', {
+      score: results.grade.score,
+      loadTime,
+      domContentLoaded: metrics.domContentLoaded,
+      loadComplete: metrics.loadComplete,
+      totalTime: metrics.totalTime,
+      imageErrors: imageErrors.length,
+      totalImages: imageElements.length
+    }, { label: options.label, source: 'http://localhost:3000' });
     
   } catch (error) {
     console.error('❌ Error during performance test:', error.message);
@@ -152,7 +158,12 @@ async function testPerformance() {
 
 // Run if called directly
 if (require.main === module) {
-  testPerformance().catch(console.error);
+  const scoringArg = process.argv.find(arg => arg.startsWith('--scoring='));
+  const labelArg = process.argv.find(arg => arg.startsWith('--label='));
+  testPerformance({
+    scorer: scoringArg ? PerformanceScore.load(scoringArg.split('=')[1]) : undefined,
+    label: labelArg ? labelArg.split('=')[1] : undefined
+  }).catch(console.error);
 }
 
 module.exports = { testPerformance }; 
\ No newline at end of file
@@ -3,10 +3,13 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const ChangePlan = require('./change-plan');
 
 class PerformanceOptimizer {
-  constructor() {
+  constructor(options = {}) {
     this.projectRoot = path.join(__dirname, '..');
+    // Every file this run touches goes through the plan, so --dry-run can show it instead
+    this.plan = ChangePlan.from(options.plan, 'performance-optimizer');
     this.optimizationResults = {
       webpConversion: false,
       nginxOptimization: false,
@@ -53,7 +56,7 @@ class PerformanceOptimizer {
     
     try {
       const WebPConverter = require('./webp-converter-advanced.js');
-      const converter = new WebPConverter();
+      const converter = new WebPConverter({ plan: this.plan });
       
       await converter.checkDependencies();
       await converter.convertToWebP();
@@ -204,7 +207,7 @@ server {
 }`;
 
     const nginxPath = path.join(this.projectRoot, 'nginx-optimized.conf');
-    fs.writeFileSync(nginxPath, optimizedNginxConfig.trim());
+    this.plan.writeFile(nginxPath, optimizedNginxConfig.trim());
     console.log(`✅ Created optimized nginx config: ${nginxPath}`);
   }
 
@@ -242,7 +245,7 @@ server {
       content = content.replace(/location \/ {/, `${cachingConfig}\n\n    location / {`);
     }
 
-    fs.writeFileSync(nginxConfigPath, content);
+    this.plan.writeFile(nginxConfigPath, content);
     console.log('✅ Updated existing nginx config with optimizations');
   }
 
@@ -306,7 +309,7 @@ server {
       // Insert optimizations
       if (!content.includes('images:')) {
         content = content.replace(/module\.exports\s*=\s*{/, `module.exports = {\n${imageOptimization}`);
-        fs.writeFileSync(nextConfigPath, content);
+        this.plan.writeFile(nextConfigPath, content);
         console.log('✅ Enhanced Next.js config with performance optimizations');
       }
     }
@@ -367,7 +370,7 @@ server {
     };
     
     const cdnConfigPath = path.join(this.projectRoot, 'cdn-config.json');
-    fs.writeFileSync(cdnConfigPath, JSON.stringify(cdnConfig, null, 2));
+    this.plan.writeFile(cdnConfigPath, JSON.stringify(cdnConfig, null, 2));
     
     console.log(`✅ CDN configuration saved to: ${cdnConfigPath}`);
     this.optimizationResults.cdnReady = true;
@@ -425,7 +428,7 @@ server {
     };
 
     const reportPath = path.join(this.projectRoot, 'performance-optimization-report.json');
-    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    this.plan.writeFile(reportPath, JSON.stringify(report, null, 2));
 
     // Display summary
     console.log('\n🎉 PERFORMANCE OPTIMIZATION COMPLETED!');
@@ -455,8 +458,11 @@ server {
 
 // Main execution
 async function main() {
-  const optimizer = new PerformanceOptimizer();
+  const optimizer = new PerformanceOptimizer({
+    plan: ChangePlan.fromArgs('performance-optimizer', process.argv.slice(2))
+  });
   await optimizer.runFullOptimization();
+  optimizer.plan.finish();
 }
 
 if (require.main === module) {
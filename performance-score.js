@@ -0,0 +1,106 @@
+const fs = require("fs");
+
+// Scoring config format (every field optional, merged over the defaults below):
+// {
+//   "metrics": {
+//     "loadTime": { "weight": 0.5, "p10": 2000, "median": 4000 },
+//     "imageFailureRate": { "weight": 0.3, "p10": 0.01, "median": 0.1 }
+//   },
+//   "grades": [{ "min": 90, "grade": "A+", "verdict": "EXCELLENT" }, ...]
+// }
+// Each metric is lower-is-better and scored on a log-normal curve like Lighthouse: a value at
+// p10 scores 90, a value at the median scores 50. Metrics a tool cannot measure are left out
+// and the remaining weights are renormalized.
+
+const DEFAULT_METRICS = {
+  loadTime: { label: "Page load time", unit: "ms", weight: 0.5, p10: 2000, median: 4000 },
+  imageFailureRate: { label: "Image failure rate", unit: "%", weight: 0.3, p10: 0.01, median: 0.1 },
+  imageLoadTime: { label: "Average image load time", unit: "ms", weight: 0.2, p10: 300, median: 1200 },
+};
+
+// Lighthouse's bands: 90+ good, 50-89 needs work, below 50 poor
+const DEFAULT_GRADES = [
+  { min: 90, grade: "A+", verdict: "EXCELLENT" },
+  { min: 50, grade: "B+", verdict: "GOOD" },
+  { min: 0, grade: "C", verdict: "NEEDS IMPROVEMENT" },
+];
+
+// erfc^-1(0.2): places p10 at the 90th-percentile score
+const INVERSE_ERFC_ONE_FIFTH = 0.9061938024368232;
+
+class PerformanceScore {
+  constructor(config = {}) {
+    this.metrics = { ...DEFAULT_METRICS };
+    Object.entries(config.metrics || {}).forEach(([name, metric]) => {
+      this.metrics[name] = { label: name, unit: "", ...DEFAULT_METRICS[name], ...metric };
+    });
+    this.grades = [...(config.grades || DEFAULT_GRADES)].sort((a, b) => b.min - a.min);
+  }
+
+  static load(configPath) {
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Scoring config not found: ${configPath}`);
+    }
+
+    return new PerformanceScore(JSON.parse(fs.readFileSync(configPath, "utf8")));
+  }
+
+  // Abramowitz-Stegun approximation, as used by Lighthouse
+  erf(x) {
+    const sign = Math.sign(x);
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const y = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    return sign * (1 - y * Math.exp(-x * x));
+  }
+
+  logNormalScore({ p10, median }, value) {
+    if (value <= 0) return 1;
+
+    const standardized =
+      (Math.log(value / median) * INVERSE_ERFC_ONE_FIFTH) / -Math.log(Math.max(Number.MIN_VALUE, p10 / median));
+    const score = (1 - this.erf(standardized)) / 2;
+    return Math.min(Math.max(score, 0), 1);
+  }
+
+  gradeFor(score) {
+    return this.grades.find((grade) => score >= grade.min) || this.grades[this.grades.length - 1];
+  }
+
+  // values: { metricName: number } — undefined/null/NaN values are skipped
+  score(values) {
+    const metrics = {};
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    Object.entries(this.metrics).forEach(([name, metric]) => {
+      const value = values[name];
+      if (typeof value !== "number" || Number.isNaN(value) || !metric.weight) return;
+
+      const score = Math.round(this.logNormalScore(metric, value) * 100);
+      metrics[name] = { label: metric.label, unit: metric.unit, value, score, weight: metric.weight };
+      weightedSum += score * metric.weight;
+      totalWeight += metric.weight;
+    });
+
+    const score = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0;
+    const { grade, verdict } = this.gradeFor(score);
+
+    return { score, grade, verdict, metrics };
+  }
+
+  formatValue(metric) {
+    if (metric.unit === "%") return `${(metric.value * 100).toFixed(1)}%`;
+    if (metric.unit === "ms") return `${metric.value.toFixed(0)}ms`;
+    return `${metric.value}${metric.unit}`;
+  }
+
+  printResult(result) {
+    console.log(`\n🏆 Performance Grade: ${result.grade} (${result.score}/100) - ${result.verdict}`);
+    Object.values(result.metrics).forEach((metric) => {
+      const icon = metric.score >= 90 ? "✅" : metric.score >= 50 ? "⚠️ " : "❌";
+      console.log(`   ${icon} ${metric.label}: ${this.formatValue(metric)} → ${metric.score}/100 (weight ${metric.weight})`);
+    });
+  }
+}
+
+module.exports = PerformanceScore;
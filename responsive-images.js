@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const WorkerPool = require("./worker-pool");
+const ChangePlan = require("./change-plan");
+
+// Same lists performance-optimizer.js and webp-converter-advanced.js inject into next.config.js
+const DEFAULT_DEVICE_SIZES = [640, 750, 828, 1080, 1200, 1920, 2048, 3840];
+const DEFAULT_IMAGE_SIZES = [16, 32, 48, 64, 96, 128, 256, 384];
+
+const OUTPUT_FORMATS = ["webp", "avif", "jpeg", "png"];
+
+const SOURCE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".tiff", ".bmp", ".webp"];
+
+// Manifest format (keys are public URLs of the source images):
+// {
+//   "version": 1, "format": "webp", "quality": 80, "widths": [...],
+//   "images": {
+//     "/images/hero.jpg": {
+//       "width": 2400, "height": 1200, "bytes": 812345,
+//       "placeholder": "data:image/webp;base64,...",
+//       "variants": [{ "width": 640, "height": 320, "bytes": 24310, "src": "/responsive/images/hero-jpg-640w.webp" }, ...],
+//       "srcset": "/responsive/images/hero-jpg-640w.webp 640w, ..."
+//     }
+//   }
+// }
+// Variant names keep the source extension, so hero.jpg and hero.png never share variants.
+// Variants are reused only when the format and quality match the last run; variants the last
+// manifest lists that this run does not produce (removed widths, deleted sources) are deleted.
+class ResponsiveImageGenerator {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, "..");
+    this.publicDir = options.publicDir || path.join(this.projectRoot, "public");
+    this.outputDir = options.outputDir || path.join(this.publicDir, "responsive");
+    this.manifestPath = options.manifestPath || path.join(this.projectRoot, "image-manifest.json");
+    this.nextConfigPath = options.nextConfigPath || path.join(this.projectRoot, "next.config.js");
+    this.widths = options.widths || null;
+    this.format = options.format || "webp";
+    this.quality = options.quality || 80;
+    this.placeholderWidth = options.placeholderWidth || 16;
+    this.concurrency = options.concurrency;
+    this.maxMemoryMB = options.maxMemoryMB;
+    this.plan = ChangePlan.from(options.plan, "responsive-images");
+    this.stats = { images: 0, variants: 0, reused: 0, removed: 0, bytes: 0, errors: [] };
+
+    if (!OUTPUT_FORMATS.includes(this.format)) {
+      throw new Error(`Unknown variant format "${this.format}" (${OUTPUT_FORMATS.join(", ")})`);
+    }
+    // Variants are referenced by URL, so they have to be served from the public dir
+    if (!this.outputDir.startsWith(this.publicDir + path.sep)) {
+      throw new Error(`Output dir ${this.outputDir} is not inside ${this.publicDir}`);
+    }
+  }
+
+  // Reads deviceSizes/imageSizes out of next.config.js as text; requiring the config would
+  // pull in the app's own dependencies
+  readNextImageSizes() {
+    const sizes = { deviceSizes: DEFAULT_DEVICE_SIZES, imageSizes: DEFAULT_IMAGE_SIZES, source: "defaults" };
+    if (!fs.existsSync(this.nextConfigPath)) return sizes;
+
+    const content = fs.readFileSync(this.nextConfigPath, "utf8");
+    ["deviceSizes", "imageSizes"].forEach((name) => {
+      const match = content.match(new RegExp(`${name}\\s*:\\s*\\[([^\\]]*)\\]`));
+      if (match) {
+        sizes[name] = match[1].split(",").map((value) => parseInt(value, 10)).filter(Number.isFinite);
+        sizes.source = this.nextConfigPath;
+      }
+    });
+    return sizes;
+  }
+
+  resolveWidths() {
+    if (this.widths) return [...new Set(this.widths)].sort((a, b) => a - b);
+
+    // next/image builds srcset from both lists, so variants are generated for both
+    const { deviceSizes, imageSizes, source } = this.readNextImageSizes();
+    console.log(`📐 Widths from ${source === "defaults" ? "Next.js defaults" : source}`);
+    return [...new Set([...imageSizes, ...deviceSizes])].sort((a, b) => a - b);
+  }
+
+  findSourceImages(dir, images = []) {
+    if (!fs.existsSync(dir)) return images;
+
+    fs.readdirSync(dir).sort().forEach((file) => {
+      const filePath = path.join(dir, file);
+      if (filePath === this.outputDir) return;
+
+      const stat = fs.statSync(filePath);
+      if (stat.isDirectory()) {
+        this.findSourceImages(filePath, images);
+        return;
+      }
+
+      const extension = path.extname(file).toLowerCase();
+      if (!SOURCE_EXTENSIONS.includes(extension)) return;
+      // A WebP sitting next to its original is a conversion of it, not a separate source
+      if (extension === ".webp" && SOURCE_EXTENSIONS.some((ext) => ext !== ".webp" && fs.existsSync(filePath.replace(/\.webp$/i, ext)))) {
+        return;
+      }
+      images.push({ path: filePath, size: stat.size, mtime: stat.mtimeMs });
+    });
+
+    return images;
+  }
+
+  toPublicUrl(filePath) {
+    return "/" + path.relative(this.publicDir, filePath).split(path.sep).join("/");
+  }
+
+  // Every configured width below the source width, plus the source width itself when it
+  // is within the largest configured width, so the srcset tops out at full resolution
+  variantWidths(widths, sourceWidth) {
+    const below = widths.filter((width) => width < sourceWidth);
+    if (sourceWidth <= widths[widths.length - 1]) below.push(sourceWidth);
+    return below;
+  }
+
+  async createPlaceholder(imagePath) {
+    const buffer = await sharp(imagePath)
+      .rotate()
+      .resize(this.placeholderWidth)
+      .blur()
+      .webp({ quality: 40 })
+      .toBuffer();
+    return `data:image/webp;base64,${buffer.toString("base64")}`;
+  }
+
+  // Runs on a worker: returns the manifest entry plus what was written, for the totals
+  async processImage(image, widths, previous) {
+    const url = this.toPublicUrl(image.path);
+    const relative = path.relative(this.publicDir, image.path);
+    const parsed = path.parse(relative);
+    const sourceExtension = parsed.ext.slice(1).toLowerCase();
+
+    // rotate() applies EXIF orientation, so report the dimensions as displayed
+    const metadata = await sharp(image.path).metadata();
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const variants = [];
+    const stats = { variants: 0, reused: 0, bytes: 0 };
+    let unchanged = Boolean(previous);
+    for (const variantWidth of this.variantWidths(widths, width)) {
+      const outputPath = path.join(this.outputDir, parsed.dir, `${parsed.name}-${sourceExtension}-${variantWidth}w.${this.format}`);
+      const previousVariant = previous && previous.variants.find((variant) => variant.width === variantWidth);
+
+      // Unchanged sources keep their variants from the last run
+      if (previousVariant && fs.existsSync(outputPath) && fs.statSync(outputPath).mtimeMs >= image.mtime) {
+        variants.push(previousVariant);
+        stats.reused++;
+        continue;
+      }
+
+      unchanged = false;
+      const { data, info } = await sharp(image.path)
+        .rotate()
+        .resize(variantWidth)
+        [this.format]({ quality: this.quality })
+        .toBuffer({ resolveWithObject: true });
+      this.plan.writeFile(outputPath, data);
+
+      variants.push({ width: info.width, height: info.height, bytes: info.size, src: this.toPublicUrl(outputPath) });
+      stats.variants++;
+      stats.bytes += info.size;
+    }
+
+    const placeholder = unchanged && previous.placeholder ? previous.placeholder : await this.createPlaceholder(image.path);
+
+    console.log(`✅ ${url}: ${width}x${height} → ${variants.map((variant) => `${variant.width}w`).join(", ")}`);
+    const entry = {
+      width,
+      height,
+      bytes: image.size,
+      placeholder,
+      variants,
+      srcset: variants.map((variant) => `${variant.src} ${variant.width}w`).join(", "),
+    };
+    return { entry, stats, operations: this.plan.drain() };
+  }
+
+  async generate() {
+    console.log("🖼️  Generating responsive image variants...");
+    console.log(`📁 Sources: ${this.publicDir}`);
+    console.log(`📁 Variants: ${this.outputDir}`);
+
+    const widths = this.resolveWidths();
+    console.log(`📏 Widths: ${widths.join(", ")}`);
+
+    const previous = fs.existsSync(this.manifestPath) ? JSON.parse(fs.readFileSync(this.manifestPath, "utf8")) : null;
+    // Variants encoded with other settings would be reported as current without being re-encoded
+    const reusable = previous && previous.format === this.format && previous.quality === this.quality ? previous.images : {};
+    const images = this.findSourceImages(this.publicDir);
+    console.log(`📊 Found ${images.length} source images\n`);
+
+    const pool = new WorkerPool({
+      modulePath: __filename,
+      options: this.workerOptions(),
+      concurrency: this.concurrency,
+      maxMemoryMB: this.maxMemoryMB,
+      label: "Resizing",
+    });
+    const outcomes = await pool.map(
+      "processImage",
+      images.map((image) => [image, widths, reusable[this.toPublicUrl(image.path)]]),
+      ([image]) => this.toPublicUrl(image.path)
+    );
+
+    // Built in source order so the manifest diffs cleanly between runs
+    const manifest = {
+      version: 1,
+      generatedAt: new Date().toISOString(),
+      format: this.format,
+      quality: this.quality,
+      widths,
+      images: {},
+    };
+    outcomes.forEach((outcome, index) => {
+      const url = this.toPublicUrl(images[index].path);
+      if (outcome.error) {
+        console.error(`❌ Error processing ${url}:`, outcome.error);
+        this.stats.errors.push({ file: url, error: outcome.error });
+        return;
+      }
+
+      this.plan.adopt(outcome.result.operations);
+      manifest.images[url] = outcome.result.entry;
+      this.stats.images++;
+      this.stats.variants += outcome.result.stats.variants;
+      this.stats.reused += outcome.result.stats.reused;
+      this.stats.bytes += outcome.result.stats.bytes;
+    });
+
+    this.removeStaleVariants(previous, manifest);
+    this.plan.writeFile(this.manifestPath, JSON.stringify(manifest, null, 2));
+    this.printSummary();
+    return manifest;
+  }
+
+  // Deletes what the last manifest listed and this run did not produce; a source that failed
+  // this run keeps its old variants until a later run regenerates them
+  removeStaleVariants(previous, manifest) {
+    if (!previous) return;
+
+    const produced = new Set(Object.values(manifest.images).flatMap((entry) => entry.variants.map((variant) => variant.src)));
+    const failed = new Set(this.stats.errors.map((error) => error.file));
+    Object.entries(previous.images || {}).forEach(([url, entry]) => {
+      if (failed.has(url)) return;
+
+      entry.variants.forEach((variant) => {
+        const variantPath = path.join(this.publicDir, ...variant.src.split("/"));
+        if (produced.has(variant.src) || !variantPath.startsWith(this.outputDir + path.sep)) return;
+        if (this.plan.exists(variantPath)) {
+          this.plan.deleteFile(variantPath);
+          this.stats.removed++;
+        }
+      });
+    });
+  }
+
+  // What each worker needs to build an equivalent generator
+  workerOptions() {
+    return {
+      projectRoot: this.projectRoot,
+      publicDir: this.publicDir,
+      outputDir: this.outputDir,
+      manifestPath: this.manifestPath,
+      nextConfigPath: this.nextConfigPath,
+      format: this.format,
+      quality: this.quality,
+      placeholderWidth: this.placeholderWidth,
+      plan: this.plan.workerOptions(),
+    };
+  }
+
+  printSummary() {
+    console.log("\n📈 RESPONSIVE IMAGES REPORT");
+    console.log("=".repeat(50));
+    console.log(`🖼️  Source images: ${this.stats.images}`);
+    console.log(`🆕 Variants written: ${this.stats.variants} (${(this.stats.bytes / 1024 / 1024).toFixed(2)} MB)`);
+    console.log(`♻️  Variants reused: ${this.stats.reused}`);
+    console.log(`🗑️  Stale variants removed: ${this.stats.removed}`);
+    console.log(`❌ Errors: ${this.stats.errors.length}`);
+    this.stats.errors.forEach((error) => {
+      console.log(`   ${error.file}: ${error.error}`);
+    });
+    console.log(`\n📄 Manifest saved to: ${this.manifestPath}`);
+    console.log("💡 Build <img srcSet={entry.srcset} sizes=\"...\" /> or next/image blurDataURL={entry.placeholder} from it");
+  }
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const arg = args.find((candidate) => candidate.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+
+  if (args.includes("--help")) {
+    console.log("🔧 Responsive Image Generator - srcset Variants and Manifest");
+    console.log("=".repeat(50));
+    console.log(
+      "Usage: node scripts/responsive-images.js [--widths=640,1080,1920] [--format=webp|avif] [--quality=80] [--public=dir] [--output=dir] [--manifest=file] [--concurrency=N] [--max-memory=MB] [--dry-run] [--plan=file.json]"
+    );
+    console.log("");
+    console.log("  --widths    Variant widths (default: deviceSizes + imageSizes from next.config.js)");
+    console.log("  --output    Where variants are written; must be inside the public dir (default: public/responsive)");
+    console.log("  --manifest  Image manifest JSON for components (default: image-manifest.json)");
+    console.log("  --concurrency  Worker threads (default: CPU count)");
+    console.log("  --max-memory   Stop starting new images above this process RSS in MB");
+    console.log("  --dry-run      Print what would be written without touching anything");
+    console.log("  --plan         Like --dry-run, and save the plan for: node scripts/change-plan.js apply <file>");
+    return;
+  }
+
+  try {
+    const generator = new ResponsiveImageGenerator({
+      publicDir: option("public") ? path.resolve(option("public")) : undefined,
+      outputDir: option("output") ? path.resolve(option("output")) : undefined,
+      manifestPath: option("manifest") ? path.resolve(option("manifest")) : undefined,
+      widths: option("widths") ? option("widths").split(",").map((width) => parseInt(width, 10)).filter(Number.isFinite) : undefined,
+      format: option("format"),
+      quality: option("quality") ? parseInt(option("quality"), 10) : undefined,
+      concurrency: option("concurrency") ? parseInt(option("concurrency"), 10) : undefined,
+      maxMemoryMB: option("max-memory") ? parseInt(option("max-memory"), 10) : undefined,
+      plan: ChangePlan.fromArgs("responsive-images", args),
+    });
+    await generator.generate();
+    generator.plan.finish();
+  } catch (error) {
+    console.error("❌ Responsive image generation failed:", error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = ResponsiveImageGenerator;
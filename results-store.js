@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+
+// One JSON object per line: { timestamp, tool, label, gitSha, source, metrics: { name: number } }.
+// Lines are only ever appended, so concurrent runs and partial writes cost at most one record.
+const DEFAULT_STORE_PATH = path.join(__dirname, "..", "performance-history.jsonl");
+
+// Everything else is treated as lower-is-better (times, bytes, error counts)
+const HIGHER_IS_BETTER = ["score", "imageSuccessRate", "successfulImages", "successfulRequests"];
+
+class ResultsStore {
+  constructor(options = {}) {
+    this.storePath = options.storePath || process.env.PERF_HISTORY_FILE || DEFAULT_STORE_PATH;
+  }
+
+  getGitSha() {
+    try {
+      return execSync("git rev-parse --short HEAD", { cwd: __dirname, stdio: ["ignore", "pipe", "ignore"] })
+        .toString()
+        .trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  record(tool, metrics, options = {}) {
+    // Only finite numbers are comparable across runs
+    const numeric = Object.fromEntries(
+      Object.entries(metrics).filter(([, value]) => typeof value === "number" && Number.isFinite(value))
+    );
+    const record = {
+      timestamp: new Date().toISOString(),
+      tool,
+      label: options.label || process.env.PERF_LABEL || null,
+      gitSha: this.getGitSha(),
+      source: options.source || null,
+      metrics: numeric,
+    };
+
+    try {
+      fs.appendFileSync(this.storePath, JSON.stringify(record) + "\n");
+      console.log(`🗃️  Run recorded in: ${this.storePath}`);
+    } catch (error) {
+      // History is a convenience; never fail the run over it
+      console.warn(`⚠️  Could not record run history: ${error.message}`);
+    }
+    return record;
+  }
+
+  read(filter = {}) {
+    if (!fs.existsSync(this.storePath)) return [];
+
+    return fs
+      .readFileSync(this.storePath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(
+        (record) =>
+          record &&
+          (!filter.tool || record.tool === filter.tool) &&
+          (!filter.label || record.label === filter.label)
+      );
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  // Compares every run with the median of the `window` runs before it
+  trend(records, metric, options = {}) {
+    const window = options.window || 5;
+    const threshold = options.threshold !== undefined ? options.threshold : 10; // percent
+    const higherIsBetter = HIGHER_IS_BETTER.includes(metric);
+    const runs = records.filter((record) => record.metrics[metric] !== undefined);
+
+    return runs.map((record, index) => {
+      const previous = runs.slice(Math.max(0, index - window), index).map((run) => run.metrics[metric]);
+      const value = record.metrics[metric];
+      const baseline = previous.length > 0 ? this.median(previous) : null;
+      const delta = baseline !== null ? value - baseline : null;
+      const change = baseline ? (delta / Math.abs(baseline)) * 100 : null;
+      // No percentage exists from a zero baseline, and any move away from zero (0 → N errors) counts
+      const regressed =
+        baseline === 0
+          ? higherIsBetter ? delta < 0 : delta > 0
+          : change !== null && (higherIsBetter ? change < -threshold : change > threshold);
+
+      return { timestamp: record.timestamp, gitSha: record.gitSha, label: record.label, value, baseline, delta, change, regressed };
+    });
+  }
+
+  metricNames(records) {
+    return [...new Set(records.flatMap((record) => Object.keys(record.metrics)))];
+  }
+}
+
+// Main execution
+function main() {
+  const args = process.argv.slice(2);
+  const tool = args.find((arg) => !arg.startsWith("--"));
+  const option = (name) => {
+    const arg = args.find((candidate) => candidate.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+
+  const store = new ResultsStore({ storePath: option("file") });
+  const records = store.read({ tool, label: option("label") });
+
+  if (!tool) {
+    const tools = [...new Set(store.read().map((record) => record.tool))];
+    console.log("🔧 Results Store - Performance Trends");
+    console.log("=".repeat(50));
+    console.log(
+      "Usage: node scripts/results-store.js <tool> [--metric=name] [--label=name] [--window=5] [--threshold=10] [--last=10] [--file=history.jsonl]"
+    );
+    console.log("");
+    console.log("  --window     Runs in the rolling baseline (median)");
+    console.log("  --threshold  Percent change from baseline that counts as a regression");
+    console.log("  Exits non-zero when the latest run regressed on any shown metric.");
+    console.log("");
+    console.log(`📁 History: ${store.storePath}`);
+    console.log(`🧰 Tools recorded: ${tools.length > 0 ? tools.join(", ") : "none yet"}`);
+    return;
+  }
+
+  if (records.length === 0) {
+    console.log(`📭 No runs recorded for ${tool} in ${store.storePath}`);
+    return;
+  }
+
+  const window = parseInt(option("window") || "5", 10);
+  const threshold = parseFloat(option("threshold") || "10");
+  const last = parseInt(option("last") || "10", 10);
+  const metrics = option("metric") ? option("metric").split(",") : store.metricNames(records);
+  const latestRegressions = [];
+
+  // Percent from a non-zero baseline, absolute delta from a zero one
+  const formatChange = (point) => {
+    if (point.change !== null) return `${point.change > 0 ? "+" : ""}${point.change.toFixed(1)}%`;
+    if (point.delta) return `${point.delta > 0 ? "+" : ""}${Math.round(point.delta * 100) / 100}`;
+    return "";
+  };
+
+  console.log(`📈 ${tool}: ${records.length} run(s), baseline = median of previous ${window}, threshold ${threshold}%`);
+
+  metrics.forEach((metric) => {
+    const points = store.trend(records, metric, { window, threshold });
+    if (points.length === 0) return;
+
+    console.log(`\n📊 ${metric}`);
+    console.log("-".repeat(80));
+    points.slice(-last).forEach((point) => {
+      const change = formatChange(point);
+      console.log(
+        `   ${point.regressed ? "❌" : "  "} ${point.timestamp.substring(0, 19).replace("T", " ")}  ` +
+          `${(point.gitSha || "-------").padEnd(9)} ${String(Math.round(point.value * 100) / 100).padStart(12)}  ` +
+          `${point.baseline === null ? "" : `vs ${Math.round(point.baseline * 100) / 100}`.padEnd(14)} ${change.padEnd(9)} ${point.label || ""}`
+      );
+    });
+
+    const latest = points[points.length - 1];
+    if (latest.regressed) latestRegressions.push({ metric, ...latest });
+  });
+
+  if (latestRegressions.length > 0) {
+    console.log(`\n❌ Latest run regressed on ${latestRegressions.length} metric(s):`);
+    latestRegressions.forEach((regression) => {
+      console.log(`   • ${regression.metric}: ${regression.value} vs baseline ${regression.baseline} (${formatChange(regression)})`);
+    });
+    process.exitCode = 1;
+  } else {
+    console.log("\n✅ No regressions in the latest run");
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = ResultsStore;
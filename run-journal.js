@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { threadId } = require("worker_threads");
+
+const PROJECT_ROOT = path.join(__dirname, "..");
+const RUNS_DIR = path.join(PROJECT_ROOT, ".optimizer-runs");
+
+const sha256 = (content) => crypto.createHash("sha256").update(content).digest("hex");
+
+// Same stamp optimize-now.sh used for its backup directories
+const timestamp = (date) => date.toISOString().replace(/[-:]/g, "").replace("T", "-").substring(0, 15);
+
+// Row keys come back from SQLite as BigInt, which JSON cannot hold
+const plainValue = (value) => (typeof value === "bigint" ? Number(value) : value);
+
+// The state of everything a tool run changes, captured just before it changes, so the run can
+// be undone exactly. ChangePlan calls into this for every live write, copy, delete and SQL
+// update; tools never use it directly. One directory per run, .optimizer-runs/<run id>/:
+//   run.json        { runId, tool, args, startedAt, finishedAt, status, rolledBackAt }
+//   entries.jsonl   one line per change, appended before the change is made:
+//                   { type: "file", path, existed, sha256 } | { type: "dir", path }
+//                   | { type: "rows", table, key, column, rows: [{ key, value }] }
+//                   Worker threads append to entries-<threadId>.jsonl; every entry carries a
+//                   monotonic `at` so all files replay in one order.
+//   files/<sha256>  contents of files as they were before the run
+// A run that dies half way still has every entry up to that point, and rolls back the same.
+class RunJournal {
+  constructor(options = {}) {
+    this.runsDir = options.runsDir || RUNS_DIR;
+    this.tool = options.tool || "script";
+    // Set on worker threads, which add to the run their main thread started
+    this.runId = options.runId || null;
+    this.runDir = this.runId ? path.join(this.runsDir, this.runId) : null;
+    this.entriesPath = this.runDir ? this.entriesFile() : null;
+    this.snapshotted = new Set();
+  }
+
+  entriesFile() {
+    return path.join(this.runDir, threadId === 0 ? "entries.jsonl" : `entries-${threadId}.jsonl`);
+  }
+
+  // Runs that change nothing leave no directory behind, so the run starts with the first change
+  start() {
+    if (this.runId) return this.runId;
+
+    fs.mkdirSync(this.runsDir, { recursive: true });
+    const base = `${timestamp(new Date())}-${this.tool}`;
+    for (let attempt = 1; !this.runId; attempt++) {
+      const runId = attempt === 1 ? base : `${base}-${attempt}`;
+      try {
+        fs.mkdirSync(path.join(this.runsDir, runId));
+        this.runId = runId;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+    }
+    this.runDir = path.join(this.runsDir, this.runId);
+    this.entriesPath = this.entriesFile();
+    this.writeRun({
+      runId: this.runId,
+      tool: this.tool,
+      args: process.argv.slice(2),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      status: "running",
+    });
+    return this.runId;
+  }
+
+  writeRun(run) {
+    const runPath = path.join(this.runDir, "run.json");
+    const tempPath = `${runPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(run, null, 2));
+    fs.renameSync(tempPath, runPath);
+  }
+
+  append(entry) {
+    this.start();
+    fs.appendFileSync(this.entriesPath, `${JSON.stringify({ ...entry, at: process.hrtime.bigint().toString() })}\n`);
+  }
+
+  // Must be called before filePath is written or deleted; later calls for the same path add
+  // nothing, since only the state before the run's first change matters
+  snapshotFile(filePath) {
+    const target = path.resolve(filePath);
+    if (this.snapshotted.has(target)) return;
+    this.snapshotted.add(target);
+    this.start();
+
+    const relativePath = path.relative(PROJECT_ROOT, target);
+    if (!fs.existsSync(target)) {
+      this.append({ type: "file", path: relativePath, existed: false });
+      return;
+    }
+
+    const hash = sha256(fs.readFileSync(target));
+    const snapshotPath = path.join(this.runDir, "files", hash);
+    if (!fs.existsSync(snapshotPath)) {
+      fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+      // Copy-then-rename so a snapshot is either whole or missing; workers may copy the same one
+      const tempPath = `${snapshotPath}.${threadId}.tmp`;
+      fs.copyFileSync(target, tempPath);
+      fs.renameSync(tempPath, snapshotPath);
+    }
+    this.append({ type: "file", path: relativePath, existed: true, sha256: hash });
+  }
+
+  // created: what fs.mkdirSync(..., { recursive: true }) returned, i.e. the topmost new directory
+  recordDir(created) {
+    if (created) this.append({ type: "dir", path: path.relative(PROJECT_ROOT, created) });
+  }
+
+  recordRows(table, key, column, rows) {
+    if (rows.length === 0) return;
+    this.append({
+      type: "rows",
+      table,
+      key,
+      column,
+      rows: rows.map((row) => ({ key: plainValue(row.key), value: plainValue(row.value) })),
+    });
+  }
+
+  finish(status = "completed") {
+    if (!this.runDir || threadId !== 0) return;
+    const run = RunJournal.readRun(this.runDir);
+    this.writeRun({ ...run, finishedAt: new Date().toISOString(), status });
+  }
+
+  static readRun(runDir) {
+    return JSON.parse(fs.readFileSync(path.join(runDir, "run.json"), "utf8"));
+  }
+
+  static entries(runDir) {
+    return fs
+      .readdirSync(runDir)
+      .filter((file) => /^entries(-\d+)?\.jsonl$/.test(file))
+      .flatMap((file) =>
+        fs
+          .readFileSync(path.join(runDir, file), "utf8")
+          .split("\n")
+          .filter(Boolean)
+          .map((line) => JSON.parse(line))
+      )
+      .sort((a, b) => (BigInt(a.at) < BigInt(b.at) ? -1 : BigInt(a.at) > BigInt(b.at) ? 1 : 0));
+  }
+
+  // Oldest first, which is also run id order
+  static list(runsDir = RUNS_DIR) {
+    if (!fs.existsSync(runsDir)) return [];
+    return fs
+      .readdirSync(runsDir)
+      .filter((runId) => fs.existsSync(path.join(runsDir, runId, "run.json")))
+      .map((runId) => ({ ...RunJournal.readRun(path.join(runsDir, runId)), runDir: path.join(runsDir, runId) }))
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt) || a.runId.localeCompare(b.runId));
+  }
+
+  // What later, not rolled back runs changed that this run also changed; undoing this run
+  // would silently undo those too
+  static laterConflicts(run, runs) {
+    const touched = (entries) =>
+      new Set(entries.map((entry) => (entry.type === "rows" ? `${entry.table}.${entry.column}` : entry.path)));
+    const mine = touched(RunJournal.entries(run.runDir));
+    return runs
+      // Rollbacks only put back what this kind of check already let through
+      .filter((other) => other.startedAt > run.startedAt && other.status !== "rolled-back" && other.tool !== "rollback")
+      .map((other) => ({
+        runId: other.runId,
+        shared: [...touched(RunJournal.entries(other.runDir))].filter((item) => mine.has(item)),
+      }))
+      .filter((other) => other.shared.length > 0);
+  }
+
+  // Replays the journal backwards through a ChangePlan: files go back to their snapshots, files
+  // the run created are deleted, rows get their old values. The rollback is itself a journaled
+  // run (or, with plan.dryRun, only a preview).
+  static async rollback(runId, plan, options = {}) {
+    const runsDir = options.runsDir || RUNS_DIR;
+    const runs = RunJournal.list(runsDir);
+    const run = runs.find((candidate) => candidate.runId === runId);
+    if (!run) throw new Error(`No run "${runId}" in ${runsDir}`);
+    if (run.status === "rolled-back" && !options.force) {
+      throw new Error(`Run ${runId} was already rolled back at ${run.rolledBackAt}`);
+    }
+
+    const conflicts = RunJournal.laterConflicts(run, runs);
+    if (conflicts.length > 0 && !options.force) {
+      const list = conflicts.map((other) => `${other.runId} (${other.shared.slice(0, 3).join(", ")})`).join("; ");
+      throw new Error(`Later runs changed the same things: ${list}; roll those back first or use --force`);
+    }
+
+    const result = { files: 0, deleted: 0, rows: 0, dirs: 0 };
+    const dirs = [];
+    let db = null;
+    try {
+      for (const entry of RunJournal.entries(run.runDir).reverse()) {
+        if (entry.type === "file") {
+          const target = path.resolve(PROJECT_ROOT, entry.path);
+          if (entry.existed) {
+            const snapshot = fs.readFileSync(path.join(run.runDir, "files", entry.sha256));
+            if (sha256(snapshot) !== entry.sha256) throw new Error(`Snapshot of ${entry.path} is corrupt`);
+            if (!plan.exists(target) || plan.hashFile(target) !== entry.sha256) {
+              plan.writeFile(target, snapshot);
+              result.files++;
+            }
+          } else if (plan.exists(target)) {
+            plan.deleteFile(target);
+            result.deleted++;
+          }
+        } else if (entry.type === "dir") {
+          dirs.push(path.resolve(PROJECT_ROOT, entry.path));
+        } else if (entry.type === "rows") {
+          if (!db) {
+            const { PrismaClient } = require("@prisma/client");
+            db = new PrismaClient();
+          }
+          for (const row of entry.rows) {
+            await plan.executeSql(
+              db,
+              `UPDATE ${entry.table} SET ${entry.column} = ? WHERE ${entry.key} = ?`,
+              [row.value, row.key],
+              { table: entry.table, key: entry.key, column: entry.column, where: `${entry.key} = ?`, params: [row.key] }
+            );
+            result.rows++;
+          }
+        }
+      }
+    } finally {
+      if (db) await db.$disconnect();
+    }
+
+    if (!plan.dryRun) {
+      // Directories the run created go too, but only once nothing else lives in them
+      dirs.forEach((dir) => {
+        try {
+          fs.rmdirSync(dir);
+          result.dirs++;
+        } catch (error) {
+          // Not empty, or already gone
+        }
+      });
+      const { runDir, ...record } = run;
+      new RunJournal({ runsDir, runId }).writeRun({ ...record, status: "rolled-back", rolledBackAt: new Date().toISOString() });
+    }
+    return result;
+  }
+}
+
+function printRuns(runs) {
+  if (runs.length === 0) {
+    console.log("📭 No runs journaled yet");
+    return;
+  }
+  console.log("Run".padEnd(48) + "Status".padEnd(14) + "Files".padEnd(8) + "Rows");
+  console.log("-".repeat(76));
+  runs.forEach((run) => {
+    const entries = RunJournal.entries(run.runDir);
+    const files = entries.filter((entry) => entry.type === "file").length;
+    const rows = entries.filter((entry) => entry.type === "rows").reduce((sum, entry) => sum + entry.rows.length, 0);
+    // A run still "running" that is not running any more died half way
+    console.log(run.runId.padEnd(48) + run.status.padEnd(14) + String(files).padEnd(8) + rows);
+  });
+}
+
+function printUsage() {
+  console.log(`
+Usage: node scripts/run-journal.js <list|show|rollback> [run-id] [--force] [--dry-run]
+
+  list                List journaled runs, oldest first
+  show <run-id>       List what a run changed
+  rollback <run-id>   Put back every file and database row the run changed, and delete
+                      the files it created
+  --dry-run           With rollback: print what would be restored without touching anything
+  --force             Roll back even when later runs changed the same files or rows
+
+Every tool that writes through ChangePlan journals its runs to .optimizer-runs/.
+`);
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, runId] = args.filter((arg) => !arg.startsWith("--"));
+
+  if (args.includes("--help") || !["list", "show", "rollback"].includes(command) || (command !== "list" && !runId)) {
+    printUsage();
+    if (!args.includes("--help")) process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (command === "list") {
+      printRuns(RunJournal.list());
+      return;
+    }
+
+    if (command === "show") {
+      const run = RunJournal.list().find((candidate) => candidate.runId === runId);
+      if (!run) throw new Error(`No run "${runId}"`);
+      console.log(`📒 ${run.runId}: ${run.tool} ${run.args.join(" ")} (${run.status})`);
+      RunJournal.entries(run.runDir).forEach((entry) => {
+        if (entry.type === "file") console.log(`   ${entry.existed ? "~" : "+"} ${entry.path}`);
+        if (entry.type === "dir") console.log(`   + ${entry.path}/`);
+        if (entry.type === "rows") console.log(`   ~ ${entry.table}.${entry.column}: ${entry.rows.length} row(s)`);
+      });
+      return;
+    }
+
+    const ChangePlan = require("./change-plan");
+    const plan = ChangePlan.fromArgs("rollback", args);
+    console.log(`↩️  Rolling back ${runId}...`);
+    const result = await RunJournal.rollback(runId, plan, { force: args.includes("--force") });
+    plan.finish();
+    if (plan.dryRun) return;
+
+    console.log("\n📈 ROLLBACK REPORT");
+    console.log("=".repeat(50));
+    console.log(`♻️  Files restored: ${result.files}`);
+    console.log(`🗑️  Files the run created, removed: ${result.deleted}`);
+    console.log(`🗄️  Rows restored: ${result.rows}`);
+    console.log(`📁 Directories removed: ${result.dirs}`);
+  } catch (error) {
+    console.error("❌ Rollback failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Exported before main runs: change-plan.js, which main requires, requires this module back
+module.exports = RunJournal;
+
+if (require.main === module) {
+  main();
+}
@@ -1,6 +1,8 @@
 const http = require('http');
 const https = require('https');
 const fs = require('fs');
+const PerformanceScore = require('./performance-score');
+const ResultsStore = require('./results-store');
 
 // Test configuration
 const baseUrl = 'http://localhost:3000';
@@ -49,7 +51,7 @@ function makeRequest(url) {
   });
 }
 
-async function runTests() {
+async function runTests(options = {}) {
   console.log('🚀 Starting Simple Performance Tests...\n');
   
   const results = {
@@ -141,32 +143,27 @@ async function runTests() {
     console.log(`   Total errors: ${results.summary.totalErrors}`);
     
     // Performance rating
-    if (results.summary.failedImages === 0 && results.summary.homepageTime < 2000) {
-      console.log('\n🎉 EXCELLENT PERFORMANCE! 🚀');
-      console.log('   ✅ All images loading successfully');
-      console.log('   ✅ Homepage under 2 seconds');
-    } else if (results.summary.failedImages < 2 && results.summary.homepageTime < 5000) {
-      console.log('\n👍 GOOD PERFORMANCE!');
-      if (results.summary.failedImages > 0) {
-        console.log(`   ⚠️  ${results.summary.failedImages} image(s) failing`);
-      }
-      if (results.summary.homepageTime >= 2000) {
-        console.log('   ⚠️  Homepage could be faster');
-      }
-    } else {
-      console.log('\n⚠️  PERFORMANCE NEEDS IMPROVEMENT');
-      if (results.summary.failedImages >= 2) {
-        console.log(`   ❌ ${results.summary.failedImages} images failing`);
-      }
-      if (results.summary.homepageTime >= 5000) {
-        console.log('   ❌ Homepage too slow');
-      }
-    }
+    const scorer = options.scorer || new PerformanceScore();
+    results.grade = scorer.score({
+      loadTime: results.summary.homepageTime,
+      imageFailureRate: results.summary.failedImages / results.summary.totalImages,
+      imageLoadTime: successfulImages.length > 0 ? avgResponseTime : undefined
+    });
+    scorer.printResult(results.grade);
     
     // Save results
     fs.writeFileSync('simple-performance-results.json', JSON.stringify(results, null, 2));
     console.log(`\n💾 Results saved to: simple-performance-results.json`);
     
+    new ResultsStore().record('simple-performance-test', {
+      score: results.grade.score,
+      homepageTime: results.summary.homepageTime,
+      averageResponseTime: results.summary.averageResponseTime,
+      successfulImages: results.summary.successfulImages,
+      failedImages: results.summary.failedImages,
+      totalErrors: results.summary.totalErrors
+    }, { label: options.label, source: baseUrl });
+    
   } catch (error) {
     console.error('\n❌ Test failed:', error.message);
     results.errors.push({ error: error.message });
@@ -177,7 +174,12 @@ async function runTests() {
 
 // Run if called directly
 if (require.main === module) {
-  runTests().catch(console.error);
+  const scoringArg = process.argv.find(arg => arg.startsWith('--scoring='));
+  const labelArg = process.argv.find(arg => arg.startsWith('--label='));
+  runTests({
+    scorer: scoringArg ? PerformanceScore.load(scoringArg.split('=')[1]) : undefined,
+    label: labelArg ? labelArg.split('=')[1] : undefined
+  }).catch(console.error);
 }
 
 module.exports = { runTests }; 
\ No newline at end of file
@@ -2,23 +2,190 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const sharp = require('sharp');
 const glob = require('glob');
 const { execSync } = require('child_process');
+const PerceptualQuality = require('./perceptual-quality');
+const WorkerPool = require('./worker-pool');
+const ImageCache = require('./image-cache');
+const ChangePlan = require('./change-plan');
+
+// What happens to an original after its WebP is written
+const ORIGINALS_MODES = ['keep', 'archive', 'delete'];
+
+// sharp encoder settings per output format; qualities chosen to look alike at typical photo content
+const FORMAT_ENCODERS = {
+  webp: { quality: 85, effort: 6, lossless: false },
+  avif: { quality: 60, effort: 4 },
+  jxl: { quality: 85, effort: 7 }
+};
 
 class WebPConverter {
-  constructor() {
-    this.publicDir = path.join(__dirname, '..', 'public');
+  constructor(options = {}) {
+    this.publicDir = options.publicDir || path.join(__dirname, '..', 'public');
+    this.originals = options.originals || 'keep';
+    this.archiveDir = options.archiveDir || path.join(__dirname, '..', 'image-archive');
+    this.manifestPath = path.join(this.archiveDir, 'manifest.json');
+    this.manifest = null;
+    this.formats = options.formats || ['webp', 'avif'];
+    // A candidate is only kept when it is at least this fraction smaller than the original
+    this.margin = options.margin !== undefined ? options.margin : 0.1;
+    // PerceptualQuality settings; when set, each image gets the lowest quality that meets its target
+    this.perceptual = options.perceptual ? new PerceptualQuality(options.perceptual) : null;
+    this.concurrency = options.concurrency;
+    this.maxMemoryMB = options.maxMemoryMB;
+    this.force = options.force || false;
+    // Every write and delete goes through the plan; on a worker this is rebuilt from workerOptions()
+    this.plan = ChangePlan.from(options.plan, 'webp-converter-advanced');
+    this.cache = null;
     this.totalSavings = 0;
     this.processedFiles = 0;
     this.skippedFiles = 0;
     this.errors = [];
     this.conversionReport = [];
+    this.orphansRemoved = [];
+
+    if (!ORIGINALS_MODES.includes(this.originals)) {
+      throw new Error(`Unknown originals mode "${this.originals}" (${ORIGINALS_MODES.join(', ')})`);
+    }
+    this.formats.forEach(format => {
+      if (!FORMAT_ENCODERS[format]) {
+        throw new Error(`Unknown output format "${format}" (${Object.keys(FORMAT_ENCODERS).join(', ')})`);
+      }
+    });
+  }
+
+  loadManifest() {
+    if (!this.manifest) {
+      this.manifest = fs.existsSync(this.manifestPath)
+        ? JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'))
+        : { version: 1, entries: {} };
+    }
+    return this.manifest;
+  }
+
+  saveManifest() {
+    this.plan.writeFile(this.manifestPath, JSON.stringify(this.manifest, null, 2));
+  }
+
+  hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  }
+
+  // Identical originals share one archived object
+  getArchivePath(hash, extension) {
+    return path.join(this.archiveDir, 'objects', hash.substring(0, 2), `${hash}${extension.toLowerCase()}`);
+  }
+
+  handleOriginal(imagePath, outputs, originalSize) {
+    const relativePath = path.relative(this.publicDir, imagePath);
+    const hash = this.hashFile(imagePath);
+    const record = {
+      original: relativePath,
+      webp: outputs.webp ? outputs.webp.path : null,
+      outputs,
+      hash,
+      originalSize,
+      webpSize: outputs.webp ? outputs.webp.size : null,
+      convertedAt: new Date().toISOString(),
+      archivePath: null,
+      originalsMode: this.originals
+    };
+
+    // WebP is the fallback every browser can show; without one the original has to stay
+    if (this.originals !== 'keep' && !outputs.webp) {
+      console.log(`📁 Keeping original: ${relativePath} (no WebP beat it)`);
+    } else if (this.originals === 'archive') {
+      const archivePath = this.getArchivePath(hash, path.extname(imagePath));
+      if (!this.plan.exists(archivePath)) {
+        this.plan.copyFile(imagePath, archivePath);
+      }
+      // Only remove the original once the archived copy is verified
+      if (this.plan.hashFile(archivePath) !== hash) {
+        throw new Error(`Archive copy of ${relativePath} does not match the original`);
+      }
+      record.archivePath = path.relative(this.archiveDir, archivePath);
+      this.plan.deleteFile(imagePath);
+      console.log(`📦 Archived original: ${relativePath} → ${record.archivePath}`);
+    } else if (this.originals === 'delete') {
+      this.plan.deleteFile(imagePath);
+      console.log(`🗑️  Removed original: ${relativePath}`);
+    }
+
+    this.loadManifest().entries[relativePath] = record;
+    this.saveManifest();
+  }
+
+  async restoreOriginals(options = {}) {
+    console.log('♻️  Restoring originals from the archive manifest...');
+    console.log(`📄 Manifest: ${this.manifestPath}`);
+
+    if (!fs.existsSync(this.manifestPath)) {
+      console.log('⚠️  No manifest found, nothing to restore');
+      return { restored: 0, present: 0, missing: [] };
+    }
+
+    const manifest = this.loadManifest();
+    const result = { restored: 0, present: 0, missing: [] };
+
+    Object.values(manifest.entries).forEach(record => {
+      const originalPath = path.join(this.publicDir, record.original);
+
+      if (fs.existsSync(originalPath) && this.hashFile(originalPath) === record.hash) {
+        result.present++;
+      } else if (record.archivePath && fs.existsSync(path.join(this.archiveDir, record.archivePath))) {
+        const archivePath = path.join(this.archiveDir, record.archivePath);
+        this.plan.copyFile(archivePath, originalPath);
+        if (this.plan.hashFile(originalPath) !== record.hash) {
+          result.missing.push({ original: record.original, reason: 'archived copy is corrupt' });
+          return;
+        }
+        result.restored++;
+        console.log(`✅ Restored: ${record.original}`);
+      } else {
+        result.missing.push({
+          original: record.original,
+          reason: record.originalsMode === 'delete' ? 'deleted without archiving' : 'archived copy not found'
+        });
+        return;
+      }
+
+      record.restoredAt = new Date().toISOString();
+      if (options.removeConverted) {
+        // Manifests written before multi-format output only list the WebP
+        const converted = record.outputs ? Object.values(record.outputs).map(output => output.path) : [record.webp];
+        converted.filter(Boolean).forEach(convertedPath => {
+          const fullPath = path.join(this.publicDir, convertedPath);
+          if (this.plan.exists(fullPath)) {
+            this.plan.deleteFile(fullPath);
+            console.log(`🗑️  Removed converted: ${convertedPath}`);
+          }
+        });
+      }
+    });
+
+    this.saveManifest();
+
+    console.log('\n📈 RESTORE REPORT');
+    console.log('='.repeat(50));
+    console.log(`♻️  Restored from archive: ${result.restored}`);
+    console.log(`📁 Already in place: ${result.present}`);
+    console.log(`❌ Could not restore: ${result.missing.length}`);
+    result.missing.forEach(item => {
+      console.log(`   ${item.original}: ${item.reason}`);
+    });
+
+    return result;
   }
 
   async convertToWebP() {
     console.log('🚀 Starting comprehensive WebP conversion...');
     console.log(`📁 Scanning directory: ${this.publicDir}`);
+    console.log(`🎯 Formats: ${this.formats.join(', ')} (kept when ${Math.round(this.margin * 100)}%+ smaller than the original)`);
+    if (this.perceptual) {
+      console.log(`👁️  Quality: searched per image for ${this.perceptual.describe()}`);
+    }
 
     // Find all image files
     const imageExtensions = ['jpg', 'jpeg', 'png', 'tiff', 'bmp'];
@@ -31,50 +198,185 @@ class WebPConverter {
       const files = glob.sync(pattern, { nocase: true });
       allImages = allImages.concat(files);
     }
+    // Sorted so the report and manifest come out in the same order on every run
+    allImages = [...new Set(allImages)].sort();
 
     console.log(`📊 Found ${allImages.length} images to process`);
 
-    for (const imagePath of allImages) {
-      await this.processImage(imagePath);
-    }
+    const pool = new WorkerPool({
+      modulePath: __filename,
+      options: this.workerOptions(),
+      concurrency: this.concurrency,
+      maxMemoryMB: this.maxMemoryMB,
+      label: 'Converting'
+    });
+    // Outputs are re-encoded when their source or settings change, not just when missing
+    this.cache = new ImageCache('webp-converter', { plan: this.plan });
+    const tasks = allImages.map(imagePath => [imagePath, Object.fromEntries(
+      this.formats.map(format => [format, this.cache.get(this.outputKey(imagePath, format))])
+    )]);
+    const outcomes = await pool.map('convertImage', tasks,
+      ([imagePath]) => path.relative(this.publicDir, imagePath));
+
+    // Originals are only touched here, on the main thread, one at a time
+    outcomes.forEach((outcome, index) => this.recordConversion(allImages[index], outcome));
+
+    this.removeOrphans();
+    this.cache.save();
 
     this.generateReport();
   }
 
-  async processImage(imagePath) {
-    try {
-      const relativePath = path.relative(this.publicDir, imagePath);
-      console.log(`🔄 Processing: ${relativePath}`);
+  outputKey(imagePath, format) {
+    const parsedPath = path.parse(path.relative(this.publicDir, imagePath));
+    return path.join(parsedPath.dir, `${parsedPath.name}.${format}`);
+  }
+
+  // Everything that decides an output's bytes or whether it is written at all
+  settingsKey(format) {
+    return ImageCache.settingsKey({
+      format,
+      encoder: FORMAT_ENCODERS[format],
+      perceptual: this.perceptual ? { ...this.perceptual } : null,
+      margin: this.margin
+    });
+  }
+
+  // Outputs whose source is gone for good. An original this converter archived or deleted is
+  // gone on purpose, and its outputs are what the site now serves.
+  removeOrphans() {
+    const manifest = this.loadManifest().entries;
+    const replaced = source => {
+      const record = manifest[source];
+      return Boolean(record && (record.archivePath || (record.originalsMode === 'delete' && record.webp)));
+    };
+    const removed = this.cache.removeOrphans(
+      (key, entry, seen) => !seen && !this.plan.exists(path.join(this.publicDir, entry.source)) && !replaced(entry.source),
+      key => path.join(this.publicDir, key)
+    );
+    removed.forEach(output => console.log(`🧹 Removed orphaned output: ${output}`));
+    this.orphansRemoved = removed;
+  }
+
+  // What each worker needs to build an equivalent converter
+  workerOptions() {
+    return {
+      publicDir: this.publicDir,
+      originals: this.originals,
+      archiveDir: this.archiveDir,
+      formats: this.formats,
+      margin: this.margin,
+      perceptual: this.perceptual,
+      force: this.force,
+      plan: this.plan.workerOptions()
+    };
+  }
+
+  async encode(imagePath, format) {
+    const settings = FORMAT_ENCODERS[format];
+    if (!this.perceptual) {
+      return { buffer: await sharp(imagePath)[format](settings).toBuffer(), quality: settings.quality };
+    }
+
+    const result = await this.perceptual.findQuality(imagePath, quality =>
+      sharp(imagePath)[format]({ ...settings, quality }).toBuffer()
+    );
+    return { buffer: result.buffer, quality: result.quality, score: result.score, targetMet: result.targetMet };
+  }
+
+  // Runs on a worker: writes the outputs that win and returns what happened, including the
+  // worker's plan operations, leaving the original, the manifest, the cache and the totals to
+  // recordConversion.
+  // cached: this image's cache entries by format, as read on the main thread
+  async convertImage(imagePath, cached = {}) {
+    const relativePath = path.relative(this.publicDir, imagePath);
 
-      // Get original file stats
-      const originalStats = fs.statSync(imagePath);
-      const originalSize = originalStats.size;
+    // Get original file stats
+    const originalStats = fs.statSync(imagePath);
+    const originalSize = originalStats.size;
+    const sourceHash = ImageCache.hashFile(imagePath);
+    const outputPath = format => path.join(this.publicDir, this.outputKey(imagePath, format));
 
-      // Generate WebP path
-      const parsedPath = path.parse(imagePath);
-      const webpPath = path.join(parsedPath.dir, parsedPath.name + '.webp');
+    // Outputs made from this exact source with these exact settings are left alone
+    const outputs = {};
+    const pending = this.formats.filter(format => {
+      const entry = cached[format];
+      if (this.force || !ImageCache.isFresh(entry, sourceHash, this.settingsKey(format), outputPath(format))) return true;
+      if (entry.written) outputs[format] = { path: this.outputKey(imagePath, format), size: entry.size };
+      return false;
+    });
+    if (pending.length === 0) {
+      console.log(`⚠️  ${this.formats.join('/')} up to date for ${relativePath}, skipping...`);
+      return { skipped: true, originalSize, outputs };
+    }
+    console.log(`🔄 Processing: ${relativePath}`);
 
-      // Check if WebP already exists
-      if (fs.existsSync(webpPath)) {
-        console.log(`⚠️  WebP already exists for ${relativePath}, skipping...`);
+    // Encode every candidate in memory, then write only the ones that beat the original
+    const maxSize = originalSize * (1 - this.margin);
+    const candidates = {};
+    const cache = {};
+    for (const format of pending) {
+      try {
+        const { buffer, quality, score, targetMet } = await this.encode(imagePath, format);
+        const kept = buffer.length <= maxSize;
+        candidates[format] = {
+          quality,
+          score: score !== undefined ? Math.round(score * 10000) / 10000 : undefined,
+          targetMet,
+          size: buffer.length,
+          sizeFormatted: this.formatBytes(buffer.length),
+          savingsPercent: (((originalSize - buffer.length) / originalSize) * 100).toFixed(2),
+          kept
+        };
+        if (targetMet === false) {
+          console.log(`⚠️  ${format} for ${relativePath} reaches only ${score.toFixed(4)} at quality ${quality}`);
+        }
+        if (kept) {
+          this.plan.writeFile(outputPath(format), buffer);
+          outputs[format] = { path: this.outputKey(imagePath, format), size: buffer.length };
+        } else if (cached[format] && cached[format].written && fs.existsSync(outputPath(format))) {
+          // Written from an earlier version of the source; it no longer matches
+          this.plan.deleteFile(outputPath(format));
+        }
+        cache[format] = {
+          source: relativePath,
+          sourceHash,
+          settingsKey: this.settingsKey(format),
+          written: kept,
+          size: buffer.length,
+          quality
+        };
+      } catch (error) {
+        // e.g. libvips built without JPEG XL support
+        candidates[format] = { error: error.message, kept: false };
+        console.log(`⚠️  ${format} encoding failed for ${relativePath}: ${error.message}`);
+      }
+    }
+
+    return { skipped: false, originalSize, candidates, outputs, cache, operations: this.plan.drain() };
+  }
+
+  recordConversion(imagePath, outcome) {
+    try {
+      this.formats.forEach(format => this.cache.touch(this.outputKey(imagePath, format)));
+      if (outcome.error) throw new Error(outcome.error);
+      if (outcome.result.skipped) {
         this.skippedFiles++;
+        // An earlier run may have kept the original; archive or delete it now if asked to
+        if (this.originals !== 'keep' && outcome.result.outputs.webp) {
+          this.handleOriginal(imagePath, outcome.result.outputs, outcome.result.originalSize);
+        }
         return;
       }
 
-      // Convert to WebP with high quality
-      await sharp(imagePath)
-        .webp({ 
-          quality: 85, 
-          effort: 6,
-          lossless: false
-        })
-        .toFile(webpPath);
-
-      // Get WebP file stats
-      const webpStats = fs.statSync(webpPath);
-      const webpSize = webpStats.size;
-      const savings = originalSize - webpSize;
-      const savingsPercent = ((savings / originalSize) * 100).toFixed(2);
+      const relativePath = path.relative(this.publicDir, imagePath);
+      const { originalSize, candidates, outputs, cache, operations } = outcome.result;
+      this.plan.adopt(operations);
+      Object.entries(cache).forEach(([format, entry]) => this.cache.record(this.outputKey(imagePath, format), entry));
+      const keptFormats = Object.keys(outputs);
+      const best = keptFormats.reduce((winner, format) =>
+        !winner || outputs[format].size < outputs[winner].size ? format : winner, null);
+      const savings = best ? originalSize - outputs[best].size : 0;
 
       // Update totals
       this.totalSavings += savings;
@@ -83,18 +385,23 @@ class WebPConverter {
       // Add to report
       this.conversionReport.push({
         original: relativePath,
-        webp: path.relative(this.publicDir, webpPath),
+        webp: outputs.webp ? outputs.webp.path : null,
         originalSize: this.formatBytes(originalSize),
-        webpSize: this.formatBytes(webpSize),
+        webpSize: outputs.webp ? this.formatBytes(outputs.webp.size) : null,
+        formats: candidates,
+        best,
         savings: this.formatBytes(savings),
-        savingsPercent: savingsPercent
+        savingsPercent: ((savings / originalSize) * 100).toFixed(2)
       });
 
-      console.log(`✅ Converted: ${relativePath} (${savingsPercent}% smaller)`);
+      if (best) {
+        console.log(`✅ Converted: ${relativePath} → ${keptFormats.join(', ')} (best: ${best}, ${((savings / originalSize) * 100).toFixed(2)}% smaller)`);
+      } else {
+        console.log(`⏭️  No format beat ${relativePath} by ${Math.round(this.margin * 100)}%, keeping the original only`);
+      }
 
-      // Remove original file
-      fs.unlinkSync(imagePath);
-      console.log(`🗑️  Removed original: ${relativePath}`);
+      // Keep, archive or (only when asked) delete the original
+      this.handleOriginal(imagePath, outputs, originalSize);
 
     } catch (error) {
       console.error(`❌ Error processing ${imagePath}:`, error.message);
@@ -107,20 +414,33 @@ class WebPConverter {
     console.log('='.repeat(50));
     console.log(`📊 Total files processed: ${this.processedFiles}`);
     console.log(`⏭️  Files skipped: ${this.skippedFiles}`);
+    console.log(`🧹 Orphaned outputs removed: ${this.orphansRemoved.length}`);
     console.log(`💾 Total space saved: ${this.formatBytes(this.totalSavings)}`);
+    console.log(`🗂️  Originals: ${this.originals}${this.originals === 'archive' ? ` (${this.archiveDir})` : ''}`);
     console.log(`❌ Errors: ${this.errors.length}`);
 
     if (this.conversionReport.length > 0) {
       console.log('\n📋 DETAILED CONVERSION LOG:');
+      // Searched qualities are shown next to each size
+      const cellWidth = this.perceptual ? 20 : 14;
       console.log('-'.repeat(100));
-      console.log('Original'.padEnd(40) + 'WebP'.padEnd(40) + 'Savings'.padEnd(20));
+      console.log('Original'.padEnd(36) + 'Size'.padEnd(12) + this.formats.map(format => format.toUpperCase().padEnd(cellWidth)).join('') + 'Savings');
       console.log('-'.repeat(100));
       
+      // ✓ kept, ✗ did not beat the original by the margin, ! encoder error, - converted earlier
       this.conversionReport.forEach(item => {
+        const cells = this.formats.map(format => {
+          const candidate = item.formats[format];
+          if (!candidate) return '-'.padEnd(cellWidth);
+          if (candidate.error) return '!'.padEnd(cellWidth);
+          const quality = this.perceptual ? ` q${candidate.quality}` : '';
+          return `${candidate.kept ? '✓' : '✗'} ${candidate.sizeFormatted}${quality}`.padEnd(cellWidth);
+        });
         console.log(
-          item.original.padEnd(40) + 
-          item.webp.padEnd(40) + 
-          `${item.savings} (${item.savingsPercent}%)`.padEnd(20)
+          item.original.substring(0, 34).padEnd(36) +
+          item.originalSize.padEnd(12) +
+          cells.join('') +
+          (item.best ? `${item.savings} (${item.savingsPercent}%, ${item.best})` : 'kept original')
         );
       });
     }
@@ -134,12 +454,20 @@ class WebPConverter {
 
     // Save report to file
     const reportPath = path.join(__dirname, '..', 'webp-conversion-report.json');
-    fs.writeFileSync(reportPath, JSON.stringify({
+    this.plan.writeFile(reportPath, JSON.stringify({
       timestamp: new Date().toISOString(),
       processed: this.processedFiles,
       skipped: this.skippedFiles,
+      orphansRemoved: this.orphansRemoved,
       totalSavings: this.totalSavings,
       totalSavingsFormatted: this.formatBytes(this.totalSavings),
+      originals: this.originals,
+      manifest: this.manifestPath,
+      formats: this.formats,
+      margin: this.margin,
+      perceptual: this.perceptual
+        ? { metric: this.perceptual.metric, target: this.perceptual.target }
+        : null,
       errors: this.errors,
       conversions: this.conversionReport
     }, null, 2));
@@ -173,7 +501,7 @@ class WebPConverter {
 }
 
 // Update Next.js config to handle WebP images
-function updateNextConfig() {
+function updateNextConfig(plan) {
   const nextConfigPath = path.join(__dirname, '..', 'next.config.js');
   
   if (fs.existsSync(nextConfigPath)) {
@@ -194,7 +522,7 @@ function updateNextConfig() {
       
       // Insert before the closing brace
       content = content.replace(/};?\s*$/, `${imageOptimization}\n};`);
-      fs.writeFileSync(nextConfigPath, content);
+      plan.writeFile(nextConfigPath, content);
       console.log('✅ Next.js config updated for WebP optimization');
     }
   }
@@ -202,15 +530,58 @@ function updateNextConfig() {
 
 // Main execution
 async function main() {
-  const converter = new WebPConverter();
+  const args = process.argv.slice(2);
+  const originals = args.includes('--delete-originals') ? 'delete' : args.includes('--archive-originals') ? 'archive' : 'keep';
+  const formatsArg = args.find(arg => arg.startsWith('--formats='));
+  const marginArg = args.find(arg => arg.startsWith('--margin='));
+  const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='));
+  const memoryArg = args.find(arg => arg.startsWith('--max-memory='));
+  const plan = ChangePlan.fromArgs('webp-converter-advanced', args);
+  let converter;
+  try {
+    converter = new WebPConverter({
+      originals,
+      perceptual: PerceptualQuality.fromArgs(args),
+      formats: formatsArg ? formatsArg.split('=')[1].split(',').filter(Boolean) : undefined,
+      margin: marginArg ? parseFloat(marginArg.split('=')[1]) / 100 : undefined,
+      concurrency: concurrencyArg ? parseInt(concurrencyArg.split('=')[1], 10) : undefined,
+      maxMemoryMB: memoryArg ? parseInt(memoryArg.split('=')[1], 10) : undefined,
+      force: args.includes('--force'),
+      plan
+    });
+  } catch (error) {
+    console.error('❌ Invalid options:', error.message);
+    process.exit(1);
+  }
+  
+  if (args[0] === 'restore') {
+    try {
+      const result = await converter.restoreOriginals({
+        removeConverted: args.includes('--remove-converted') || args.includes('--remove-webp')
+      });
+      plan.finish();
+      if (result.missing.length > 0) process.exitCode = 1;
+    } catch (error) {
+      console.error('❌ Restore failed:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
   
   try {
     await converter.checkDependencies();
-    updateNextConfig();
+    updateNextConfig(plan);
     await converter.convertToWebP();
+    plan.finish();
+    if (plan.dryRun) return;
     
     console.log('\n🎉 WebP conversion completed successfully!');
     console.log('📝 Next steps:');
+    if (originals === 'keep') {
+      console.log('   0. Originals were kept next to the WebP files (--archive-originals moves them to image-archive/)');
+    } else if (originals === 'archive') {
+      console.log('   0. Originals are in image-archive/; undo with: node scripts/webp-converter-advanced.js restore');
+    }
     console.log('   1. Update your image imports to use .webp extensions');
     console.log('   2. Add fallback support for older browsers');
     console.log('   3. Test your application thoroughly');
@@ -0,0 +1,183 @@
+const os = require("os");
+const path = require("path");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+// Runs one method of a tool class over many inputs on worker threads. Each worker builds its
+// own instance with `new Tool(options)`, so options must survive structured cloning and every
+// worker-side method must return its result instead of mutating shared state; the caller gets
+// results back in input order regardless of which worker finished first.
+class WorkerPool {
+  constructor(options = {}) {
+    this.modulePath = options.modulePath;
+    this.toolOptions = options.options || {};
+    const cpus = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+    this.concurrency = Math.max(1, options.concurrency || cpus);
+    // Worker threads share the process, so RSS covers libvips' native buffers in every worker
+    this.maxMemory = (options.maxMemoryMB || Math.min(2048, os.totalmem() / 1024 / 1024 / 2)) * 1024 * 1024;
+    this.label = options.label || "Processing";
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+
+  reportProgress(done, total, startedAt, name) {
+    const elapsed = Date.now() - startedAt;
+    const eta = done < total ? ` ETA ${this.formatDuration((elapsed / done) * (total - done))}` : "";
+    const percent = ((done / total) * 100).toFixed(1);
+    console.log(`⏳ ${this.label} [${done}/${total}] ${percent}%${eta} - ${name}`);
+  }
+
+  // argsList: one argument array per call; resolves to [{ result } | { error }] in the same order
+  async map(method, argsList, describe = (args) => String(args[0])) {
+    if (argsList.length === 0) return [];
+
+    const size = Math.min(this.concurrency, argsList.length);
+    console.log(`🧵 ${this.label} ${argsList.length} item(s) on ${size} worker(s), memory cap ${Math.round(this.maxMemory / 1024 / 1024)}MB`);
+
+    if (size === 1) return this.mapInline(method, argsList, describe);
+    return this.mapWorkers(method, argsList, describe, size);
+  }
+
+  // A single worker buys nothing but startup cost, so small jobs run on the main thread
+  async mapInline(method, argsList, describe) {
+    // A tool that starts the pool from its own main() is still being loaded at this point;
+    // its module.exports is only assigned once the current tick's synchronous code has run
+    await new Promise((resolve) => setImmediate(resolve));
+    const Tool = require(this.modulePath);
+    const tool = new Tool(this.toolOptions);
+    const startedAt = Date.now();
+    const results = [];
+
+    for (const args of argsList) {
+      try {
+        results.push({ result: await tool[method](...args) });
+      } catch (error) {
+        results.push({ error: error.message });
+      }
+      this.reportProgress(results.length, argsList.length, startedAt, describe(args));
+    }
+    return results;
+  }
+
+  mapWorkers(method, argsList, describe, size) {
+    return new Promise((resolve) => {
+      const results = new Array(argsList.length);
+      const startedAt = Date.now();
+      const idle = [];
+      const busy = new Map(); // worker -> index of its task
+      const started = new Set(); // workers that have finished at least one task
+      let next = 0;
+      let done = 0;
+      let closed = false;
+      let alive = 0;
+
+      const finish = (index, outcome) => {
+        results[index] = outcome;
+        done++;
+        this.reportProgress(done, argsList.length, startedAt, describe(argsList[index]));
+        if (done === argsList.length) {
+          // Let workers exit on their own so their console output is flushed before the caller
+          // prints its report
+          closed = true;
+          idle.forEach((worker) => worker.postMessage({ close: true }));
+        }
+      };
+
+      const dispatch = () => {
+        while (idle.length > 0 && next < argsList.length) {
+          // Over the cap, hold back new work until something in flight finishes
+          if (busy.size > 0 && process.memoryUsage().rss > this.maxMemory) return;
+
+          const worker = idle.pop();
+          busy.set(worker, next);
+          worker.postMessage({ index: next, method, args: argsList[next] });
+          next++;
+        }
+      };
+
+      const recover = (worker, message) => {
+        if (started.has(worker)) {
+          idle.push(spawn());
+        } else if (idle.length === 0 && busy.size === 0) {
+          while (next < argsList.length) finish(next++, { error: message });
+          return;
+        }
+        dispatch();
+      };
+
+      const spawn = () => {
+        const worker = new Worker(__filename, {
+          workerData: { workerPool: true, modulePath: path.resolve(this.modulePath), options: this.toolOptions },
+        });
+        alive++;
+
+        worker.on("message", ({ index, result, error }) => {
+          started.add(worker);
+          busy.delete(worker);
+          idle.push(worker);
+          finish(index, error !== undefined ? { error } : { result });
+          dispatch();
+        });
+
+        // A crashed worker fails only its own task and a replacement takes its place. A worker
+        // that dies before finishing anything most likely cannot load the tool at all, so it is
+        // not replaced; once none are left the remaining tasks fail with its error.
+        let failure = null;
+        worker.on("error", (error) => {
+          failure = error;
+        });
+        worker.on("exit", (code) => {
+          alive--;
+          const index = busy.get(worker);
+          busy.delete(worker);
+          if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+
+          if (!closed) {
+            const message = failure ? failure.message : `worker exited with code ${code}`;
+            if (index !== undefined) finish(index, { error: message });
+            if (!closed) recover(worker, message);
+          }
+
+          if (closed && alive === 0) resolve(results);
+        });
+
+        return worker;
+      };
+
+      for (let i = 0; i < size; i++) idle.push(spawn());
+      dispatch();
+    });
+  }
+}
+
+// Worker side: build the tool once, then run whatever the pool sends
+if (!isMainThread && workerData && workerData.workerPool) {
+  // The pool provides the parallelism; one libvips thread per worker avoids oversubscribing cores
+  try {
+    const sharp = require("sharp");
+    sharp.concurrency(1);
+    sharp.cache(false);
+  } catch (error) {
+    // Tools that do not use sharp
+  }
+
+  const Tool = require(workerData.modulePath);
+  const tool = new Tool(workerData.options);
+
+  parentPort.on("message", async ({ close, index, method, args }) => {
+    if (close) {
+      parentPort.close();
+      return;
+    }
+    try {
+      parentPort.postMessage({ index, result: await tool[method](...args) });
+    } catch (error) {
+      parentPort.postMessage({ index, error: error.message });
+    }
+  });
+}
+
+module.exports = WorkerPool;